@@ -0,0 +1,131 @@
+/**
+ * Base error for the failed requests to the Graph API.
+ * Use WhatsAppAPIError.from to get the most specific error for a response.
+ *
+ * @property {String} message The error message
+ * @property {Number} [code] The Graph error code
+ * @property {Number} [subcode] The Graph error subcode
+ * @property {String} [type] The Graph error type, such as "OAuthException"
+ * @property {String} [fbtrace_id] The trace id, useful when contacting Meta support
+ * @property {Object} [details] The error_data object, with extra information about the error
+ * @property {Object} raw The error object as sent by the API
+ */
+class WhatsAppAPIError extends Error {
+    /**
+     * Create a WhatsAppAPIError from the error object sent by the API
+     *
+     * @param {Object} error The error object of the API response
+     */
+    constructor(error) {
+        super(error.message || error.error_user_msg || "Unknown Graph API error");
+        this.name = this.constructor.name;
+
+        if (error.code !== undefined) this.code = error.code;
+        if (error.error_subcode !== undefined) this.subcode = error.error_subcode;
+        if (error.type) this.type = error.type;
+        if (error.fbtrace_id) this.fbtrace_id = error.fbtrace_id;
+        if (error.error_data) this.details = error.error_data;
+        this.raw = error;
+    }
+
+    /**
+     * Create the most specific error for the error object sent by the API
+     *
+     * @param {Object} error The error object of the API response
+     * @returns {WhatsAppAPIError} The error, an instance of one of the WhatsAppAPIError subclasses if the code is known
+     */
+    static from(error) {
+        const code = error.code;
+
+        if ([0, 3, 10, 190].includes(code) || (code >= 200 && code <= 299)) return new AuthenticationError(error);
+        if ([4, 80007, 130429, 131048, 131056, 133016].includes(code)) return new RateLimitError(error);
+        if ([1, 2, 131000, 131016].includes(code)) return new ServiceError(error);
+        if (code === 131047) return new ReEngagementError(error);
+        if ([131051, 131052, 131053].includes(code)) return new MediaError(error);
+        if (code >= 132000 && code <= 132999) return new TemplateError(error);
+        if ([100, 131008, 131009].includes(code)) return new InvalidParameterError(error);
+
+        return new WhatsAppAPIError(error);
+    }
+}
+
+/**
+ * The token is invalid, expired or doesn't have the required permissions (codes 0, 3, 10, 190 and 200 to 299)
+ *
+ * @extends WhatsAppAPIError
+ */
+class AuthenticationError extends WhatsAppAPIError {}
+
+/**
+ * Too many requests were made, either by the app, the phone number or to the same user (codes 4, 80007, 130429, 131048, 131056 and 133016)
+ *
+ * @extends WhatsAppAPIError
+ */
+class RateLimitError extends WhatsAppAPIError {}
+
+/**
+ * The API is temporarily unavailable or failed unexpectedly (codes 1, 2, 131000 and 131016)
+ *
+ * @extends WhatsAppAPIError
+ */
+class ServiceError extends WhatsAppAPIError {}
+
+/**
+ * A required parameter is missing or has an invalid value (codes 100, 131008 and 131009)
+ *
+ * @extends WhatsAppAPIError
+ */
+class InvalidParameterError extends WhatsAppAPIError {}
+
+/**
+ * More than 24 hours have passed since the user last replied, only templates can be sent (code 131047)
+ *
+ * @extends WhatsAppAPIError
+ */
+class ReEngagementError extends WhatsAppAPIError {}
+
+/**
+ * The media couldn't be uploaded, downloaded or its type isn't supported (codes 131051, 131052 and 131053)
+ *
+ * @extends WhatsAppAPIError
+ */
+class MediaError extends WhatsAppAPIError {}
+
+/**
+ * The template doesn't exist, isn't approved or its parameters don't match its definition (codes 132000 to 132999)
+ *
+ * @extends WhatsAppAPIError
+ */
+class TemplateError extends WhatsAppAPIError {}
+
+/**
+ * A message object doesn't match the API schema of its type. It's thrown before making any request.
+ *
+ * @property {String} message The error message, with all the violations found
+ * @property {Array<{ path: String, message: String }>} violations The violations found, with the JSON path of each value
+ */
+class ValidationError extends Error {
+    /**
+     * Create a ValidationError from the violations of an object
+     *
+     * @param {String} name The name of the object, such as 'Text'
+     * @param {Array<{ path: String, message: String }>} violations The violations found
+     */
+    constructor(name, violations) {
+        super(`${name} doesn't match the API schema: ${violations.map(e => `${e.path} ${e.message}`).join("; ")}`);
+        this.name = this.constructor.name;
+        this.violations = violations;
+    }
+}
+
+module.exports = {
+    WhatsAppAPIError,
+    AuthenticationError,
+    RateLimitError,
+    ServiceError,
+    InvalidParameterError,
+    ReEngagementError,
+    MediaError,
+    TemplateError,
+    ValidationError,
+};
@@ -4,8 +4,33 @@ const { Audio, Document, Image, Sticker, Video } = require('./types/media');
 const Location = require('./types/location');
 const { Template } = require('./types/template');
 const Text = require('./types/text');
+const Reaction = require('./types/reaction');
 
-const req = require('./fetch-picker').pick();
+/**
+ * The connection settings of the API requests
+ * 
+ * @typedef {Object} Transport
+ * @property {String} token The API token
+ * @property {String} v The API version
+ * @property {Function} fetch The fetch implementation
+ * @property {String} baseURL The API base URL, without the trailing slash
+ */
+
+/**
+ * Make a request to the Graph API
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} path The endpoint path, after the API version
+ * @param {Object} init The fetch options
+ * @returns {Promise} The fetch promise
+ */
+function graph(client, path, init) {
+    // Some fetch implementations must not be called as a method of another object
+    const { fetch } = client;
+    return fetch(`${client.baseURL}/${client.v}/${path}`, init);
+}
 
 /**
  * Request API object
@@ -15,117 +40,161 @@ const req = require('./fetch-picker').pick();
  * @property {String} to The user's phone number
  * @property {Object} [context] The message to reply to
  * @property {String} context.message_id The message id to reply to
- * @property {String} [text] The text object stringified to send
- * @property {String} [audio] The audio object stringified to send
- * @property {String} [document] The document object stringified to send
- * @property {String} [image] The image object stringified to send
- * @property {String} [sticker] The sticker object stringified to send
- * @property {String} [video] The video object stringified to send
- * @property {String} [location] The location object stringified to send
- * @property {String} [contacts] The contacts object stringified to send
- * @property {String} [interactive] The interactive object stringified to send
- * @property {String} [template] The template object stringified to send
+ * @property {Object} [text] The text object to send
+ * @property {Object} [audio] The audio object to send
+ * @property {Object} [document] The document object to send
+ * @property {Object} [image] The image object to send
+ * @property {Object} [sticker] The sticker object to send
+ * @property {Object} [video] The video object to send
+ * @property {Object} [location] The location object to send
+ * @property {Array<Object>} [contacts] The contacts array to send
+ * @property {Object} [interactive] The interactive object to send
+ * @property {Object} [template] The template object to send
+ * @property {Object} [reaction] The reaction object to send
  */
 class Request {
     /**
      * Create a Request object for the API
      * 
-     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template)} object The object to send
+     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template|Reaction)} object The object to send
      * @param {String} to The user's phone number
      * @param {String} context The message_id to reply to
      */
     constructor(object, to, context) {
-        let message = { ...object };
         this.messaging_product = "whatsapp";
-        this.type = message._;
-        delete message._;
+        this.type = object._;
         this.to = to;
 
         if (context) this.context = { message_id: context };
 
-        // If the object contains its name as a property, it means it's an array, use it, else use the class
-        // This horrible thing comes from Contacts, the only API element which must be an array instead of an object...
-        this[this.type] = JSON.stringify(message[this.type] ? message:undefined);
+        // The types know their own API shape, plain objects just drop the internal type
+        if (typeof object.toJSON === "function") this[this.type] = object.toJSON();
+        else {
+            const { _, ...json } = object;
+            this[this.type] = json;
+        }
     }
 }
 
 /**
- * The sendMessage response object
+ * Make a message post request to the API
  * 
  * @package
  * @ignore
- * @typedef {Object} SendMessageResponse
- * @property {Promise} promise The fetch promise
- * @property {Request} request The request sent to the server
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} phoneID The bot's phone id
+ * @param {Request} request The request object to send, built with the message object, the user's phone number and the context
+ * @returns {Promise} The fetch promise
  */
+function sendMessage(client, phoneID, request) {
+    // Make the post request
+    return graph(client, `${phoneID}/messages`, {
+        method: "POST",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(request),
+    });
+}
 
 /**
- * Make a message post request to the API
+ * Upload a file to the API
  * 
  * @package
  * @ignore
- * @param {String} token The API token
- * @param {String} v The API version
+ * @param {Transport} client The API token, version, fetch implementation and base URL
  * @param {String} phoneID The bot's phone id
- * @param {String} to The user's phone number
- * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template)} object Each type of message requires a specific type of object, for example, the "image" type requires an url and optionally captions. Use the constructors for each specific type of message (contacts, interactive, location, media, template, text)
- * @param {String} context The message id to reply to
- * @returns {SendMessageResponse} An object with the sent request and the fetch promise
+ * @param {Uint8Array} body The multipart/form-data body with the file
+ * @param {String} boundary The multipart boundary used in the body
+ * @returns {Promise} The fetch promise
  */
-async function sendMessage(token, v, phoneID, to, object, context) {
-    const request = new Request(object, to, context);
-
-    // Make the post request
-    return await req(`https://graph.facebook.com/${v}/${phoneID}/messages`, {
+function uploadMedia(client, phoneID, body, boundary) {
+    return graph(client, `${phoneID}/media`, {
         method: "POST",
         headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${client.token}`,
+            'Content-Type': `multipart/form-data; boundary=${boundary}`,
         },
-        body: JSON.stringify(request),
+        body,
     });
+}
 
+/**
+ * Get the metadata of an uploaded or received file
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} id The media id
+ * @param {String} [phoneID] The bot's phone id, if specified the API checks the media belongs to it
+ * @returns {Promise} The fetch promise
+ */
+function getMedia(client, id, phoneID) {
+    const params = phoneID ? `?${new URLSearchParams({ phone_number_id: phoneID })}` : "";
+
+    return graph(client, `${id}${params}`, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Delete an uploaded file
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} id The media id
+ * @param {String} [phoneID] The bot's phone id, if specified the API checks the media belongs to it
+ * @returns {Promise} The fetch promise
+ */
+function deleteMedia(client, id, phoneID) {
+    const params = phoneID ? `?${new URLSearchParams({ phone_number_id: phoneID })}` : "";
+
+    return graph(client, `${id}${params}`, {
+        method: "DELETE",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
 }
 
-async function getDocumentLink(token,v,mediaID){
-    return await req(`https://graph.facebook.com/${v}/${mediaID}`, {
-           method: "GET",
-           headers: {
-               'Authorization': `Bearer ${token}`,
-               'Content-Type': 'application/json'
-           }
-       });
-   
-   
-   }
-   
-   async function getImage(token,link){
-       return await req(link, {
-           method: "GET",
-           headers: {
-               'Authorization': `Bearer ${token}`,
-               'Content-Type': 'application/json',
-               'Accept': '*/*'
-           }
-       });
-   }
+/**
+ * Download a file from its media url
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token and fetch implementation
+ * @param {String} url The media url, given by getMedia
+ * @returns {Promise} The fetch promise
+ */
+function fetchMedia(client, url) {
+    const { fetch } = client;
+
+    return fetch(url, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
 
 /**
  * Mark a message as read
  * 
  * @package
  * @ignore
- * @param {String} token The API token
- * @param {String} v The API version
+ * @param {Transport} client The API token, version, fetch implementation and base URL
  * @param {String} phoneID The bot's phone id
  * @param {String} message_id The message id
  * @returns {Promise} The fetch promise
  */
-function readMessage(token, v, phoneID, message_id) {
-    return req(`https://graph.facebook.com/${v}/${phoneID}/messages`, {
+function readMessage(client, phoneID, message_id) {
+    return graph(client, `${phoneID}/messages`, {
         method: "POST",
         headers: {
-            'Authorization': `Bearer ${token}`,
+            'Authorization': `Bearer ${client.token}`,
             'Content-Type': 'application/json',
         },
         body: JSON.stringify({
@@ -141,23 +210,22 @@ function readMessage(token, v, phoneID, message_id) {
  * 
  * @package
  * @ignore
- * @param {String} token The API token
- * @param {String} v The API version
+ * @param {Transport} client The API token, version, fetch implementation and base URL
  * @param {String} phoneID The bot's phone id
  * @param {String} message The default message in the QR code
  * @param {String} format The image format of the QR code (png or svg)
  * @returns {Promise} The fetch promise
  */
-function makeQR(token, v, phoneID, message, format) {
+function makeQR(client, phoneID, message, format) {
     const params = {
         generate_qr_image: format,
         prefilled_message: message,
     };
 
-    return req(`https://graph.facebook.com/${v}/${phoneID}/message_qrdls?${new URLSearchParams(params)}`, {
+    return graph(client, `${phoneID}/message_qrdls?${new URLSearchParams(params)}`, {
         method: "POST",
         headers: {
-            'Authorization': `Bearer ${token}`,
+            'Authorization': `Bearer ${client.token}`,
         },
     });
 }
@@ -167,16 +235,15 @@ function makeQR(token, v, phoneID, message, format) {
  * 
  * @package
  * @ignore
- * @param {String} token The API token
- * @param {String} v The API version
+ * @param {Transport} client The API token, version, fetch implementation and base URL
  * @param {String} phoneID The bot's phone id
  * @param {String} [id] The QR's id to get. If not specified, all the QR codes will be returned
  * @returns {Promise} The fetch promise
  */
-function getQR(token, v, phoneID, id) {
-    return req(`https://graph.facebook.com/${v}/${phoneID}/message_qrdls/${id ? id:""}`, {
+function getQR(client, phoneID, id) {
+    return graph(client, `${phoneID}/message_qrdls/${id ? id:""}`, {
         headers: {
-            'Authorization': `Bearer ${token}`,
+            'Authorization': `Bearer ${client.token}`,
         },
     });
 }
@@ -186,22 +253,21 @@ function getQR(token, v, phoneID, id) {
  * 
  * @package
  * @ignore
- * @param {String} token The API token
- * @param {String} v The API version
+ * @param {Transport} client The API token, version, fetch implementation and base URL
  * @param {String} phoneID The bot's phone id
  * @param {String} id The QR's id to edit
  * @param {String} message The new message for the QR code
  * @returns {Promise} The fetch promise
  */
-function updateQR(token, v, phoneID, id, message) {
+function updateQR(client, phoneID, id, message) {
     const params = {
         prefilled_message: message,
     };
 
-    return req(`https://graph.facebook.com/${v}/${phoneID}/message_qrdls/${id}?${new URLSearchParams(params)}`, {
+    return graph(client, `${phoneID}/message_qrdls/${id}?${new URLSearchParams(params)}`, {
         method: "POST",
         headers: {
-            'Authorization': `Bearer ${token}`,
+            'Authorization': `Bearer ${client.token}`,
         },
     });
 }
@@ -211,19 +277,293 @@ function updateQR(token, v, phoneID, id, message) {
  * 
  * @package
  * @ignore
- * @param {String} token The API token
- * @param {String} v The API version
+ * @param {Transport} client The API token, version, fetch implementation and base URL
  * @param {String} phoneID The bot's phone id
  * @param {String} id The QR's id to delete
  * @returns {Promise} The fetch promise
  */
-function deleteQR(token, v, phoneID, id) {
-    return req(`https://graph.facebook.com/${v}/${phoneID}/message_qrdls/${id}`, {
+function deleteQR(client, phoneID, id) {
+    return graph(client, `${phoneID}/message_qrdls/${id}`, {
+        method: "DELETE",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Get the message templates of a WhatsApp Business Account
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} wabaID The WhatsApp Business Account id
+ * @param {Object<String, String>} [filters] The query parameters, such as name, status, category, language, fields, limit or after
+ * @returns {Promise} The fetch promise
+ */
+function getTemplates(client, wabaID, filters = {}) {
+    const params = Object.keys(filters).length ? `?${new URLSearchParams(filters)}` : "";
+
+    return graph(client, `${wabaID}/message_templates${params}`, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Get a message template by its id
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} id The template id
+ * @param {String} [fields] The comma separated fields to get
+ * @returns {Promise} The fetch promise
+ */
+function getTemplate(client, id, fields) {
+    const params = fields ? `?${new URLSearchParams({ fields })}` : "";
+
+    return graph(client, `${id}${params}`, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Create a message template
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} wabaID The WhatsApp Business Account id
+ * @param {Object} definition The template definition
+ * @returns {Promise} The fetch promise
+ */
+function makeTemplate(client, wabaID, definition) {
+    return graph(client, `${wabaID}/message_templates`, {
+        method: "POST",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(definition),
+    });
+}
+
+/**
+ * Edit a message template
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} id The template id
+ * @param {Object} changes The new category and/or components of the template
+ * @returns {Promise} The fetch promise
+ */
+function updateTemplate(client, id, changes) {
+    return graph(client, `${id}`, {
+        method: "POST",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+    });
+}
+
+/**
+ * Delete a message template
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} wabaID The WhatsApp Business Account id
+ * @param {String} name The template name. All the languages of the template are deleted.
+ * @param {String} [id] The template id. If specified, only the template with this id is deleted.
+ * @returns {Promise} The fetch promise
+ */
+function deleteTemplate(client, wabaID, name, id) {
+    const params = { name };
+    if (id) params.hsm_id = id;
+
+    return graph(client, `${wabaID}/message_templates?${new URLSearchParams(params)}`, {
         method: "DELETE",
         headers: {
-            'Authorization': `Bearer ${token}`,
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Get the phone numbers of a WhatsApp Business Account
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} wabaID The WhatsApp Business Account id
+ * @param {String} [fields] The comma separated fields to get
+ * @returns {Promise} The fetch promise
+ */
+function getPhoneNumbers(client, wabaID, fields) {
+    const params = fields ? `?${new URLSearchParams({ fields })}` : "";
+
+    return graph(client, `${wabaID}/phone_numbers${params}`, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Get the information of a phone number
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} phoneID The phone number id
+ * @param {String} [fields] The comma separated fields to get
+ * @returns {Promise} The fetch promise
+ */
+function getPhoneNumber(client, phoneID, fields) {
+    const params = fields ? `?${new URLSearchParams({ fields })}` : "";
+
+    return graph(client, `${phoneID}${params}`, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Make a post request to a phone number endpoint
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} phoneID The phone number id
+ * @param {String} edge The endpoint under the phone number, such as "register". An empty string posts to the phone number itself.
+ * @param {Object} [body] The JSON body
+ * @returns {Promise} The fetch promise
+ */
+function postPhoneNumber(client, phoneID, edge, body) {
+    return graph(client, `${phoneID}${edge ? `/${edge}` : ""}`, {
+        method: "POST",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body || {}),
+    });
+}
+
+/**
+ * Get the business profile of a phone number
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} phoneID The phone number id
+ * @param {String} fields The comma separated fields to get
+ * @returns {Promise} The fetch promise
+ */
+function getBusinessProfile(client, phoneID, fields) {
+    return graph(client, `${phoneID}/whatsapp_business_profile?${new URLSearchParams({ fields })}`, {
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Update the business profile of a phone number
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} phoneID The phone number id
+ * @param {Object} profile The fields to update
+ * @returns {Promise} The fetch promise
+ */
+function updateBusinessProfile(client, phoneID, profile) {
+    return graph(client, `${phoneID}/whatsapp_business_profile`, {
+        method: "POST",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            messaging_product: "whatsapp",
+            ...profile,
+        }),
+    });
+}
+
+/**
+ * Create a resumable upload session
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} appID The app id
+ * @param {Number} length The file size in bytes
+ * @param {String} type The file's mime type
+ * @param {String} name The file's name
+ * @returns {Promise} The fetch promise
+ */
+function makeUploadSession(client, appID, length, type, name) {
+    const params = {
+        file_name: name,
+        file_length: length,
+        file_type: type,
+    };
+
+    return graph(client, `${appID}/uploads?${new URLSearchParams(params)}`, {
+        method: "POST",
+        headers: {
+            'Authorization': `Bearer ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Get the status of a resumable upload session
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} sessionID The upload session id
+ * @returns {Promise} The fetch promise
+ */
+function getUploadSession(client, sessionID) {
+    return graph(client, `${sessionID}`, {
+        headers: {
+            'Authorization': `OAuth ${client.token}`,
+        },
+    });
+}
+
+/**
+ * Upload a chunk of a file to a resumable upload session
+ * 
+ * @package
+ * @ignore
+ * @param {Transport} client The API token, version, fetch implementation and base URL
+ * @param {String} sessionID The upload session id
+ * @param {Number} offset The position of the chunk in the file
+ * @param {Uint8Array} chunk The chunk bytes
+ * @returns {Promise} The fetch promise
+ */
+function uploadChunk(client, sessionID, offset, chunk) {
+    return graph(client, `${sessionID}`, {
+        method: "POST",
+        headers: {
+            'Authorization': `OAuth ${client.token}`,
+            'file_offset': String(offset),
         },
+        body: chunk,
     });
 }
 
-module.exports = { sendMessage, readMessage, makeQR, getQR, getDocumentLink, updateQR, getImage , deleteQR, Request };
\ No newline at end of file
+module.exports = { sendMessage, uploadMedia, getMedia, deleteMedia, fetchMedia, readMessage, makeQR, getQR, updateQR, deleteQR, getTemplates, getTemplate, makeTemplate, updateTemplate, deleteTemplate, getPhoneNumbers, getPhoneNumber, postPhoneNumber, getBusinessProfile, updateBusinessProfile, makeUploadSession, getUploadSession, uploadChunk, Request };
\ No newline at end of file
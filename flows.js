@@ -0,0 +1,108 @@
+/**
+ * Length in bytes of the AES-GCM authentication tag, appended to the encrypted payloads
+ *
+ * @package
+ * @ignore
+ * @type {Number}
+ */
+const TAG_LENGTH = 16;
+
+/**
+ * A decrypted request of the flow data exchange endpoint
+ *
+ * @typedef {Object} FlowRequest
+ * @property {Object} data The decrypted request, with the action, screen, data, flow_token and version
+ * @property {Buffer} aes_key The AES key of the request, used to encrypt the response
+ * @property {Buffer} iv The initialization vector of the request, used to encrypt the response
+ */
+
+/**
+ * Callback for the flow data exchange requests
+ *
+ * @callback FlowHandler
+ * @param {Object} data The decrypted request, with the action, screen, data, flow_token and version
+ * @returns {(Object|Promise<Object>)} The response, such as { screen: "SUCCESS", data: { ... } }
+ */
+
+/**
+ * Decrypt a request of the flow data exchange endpoint (Node only).
+ * The AES key is encrypted with RSA-OAEP using the business public key, and the payload with AES-GCM.
+ *
+ * @param {{ encrypted_flow_data: String, encrypted_aes_key: String, initial_vector: String }} body The POST body sent by Whatsapp, already parsed to object
+ * @param {String} private_key The PEM private key matching the public key uploaded to Whatsapp
+ * @param {String} [passphrase] The passphrase of the private key, if any
+ * @returns {FlowRequest} The decrypted request, and the key and vector to encrypt the response with
+ * @throws {Error} If the key can't decrypt the request
+ */
+function decryptRequest(body, private_key, passphrase) {
+    const { privateDecrypt, createDecipheriv, constants } = require('crypto');
+
+    const aes_key = privateDecrypt({
+        key: private_key,
+        passphrase,
+        padding: constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: "sha256",
+    }, Buffer.from(body.encrypted_aes_key, "base64"));
+
+    const flow_data = Buffer.from(body.encrypted_flow_data, "base64");
+    const iv = Buffer.from(body.initial_vector, "base64");
+
+    const decipher = createDecipheriv("aes-128-gcm", aes_key, iv);
+    decipher.setAuthTag(flow_data.subarray(-TAG_LENGTH));
+    const decrypted = Buffer.concat([decipher.update(flow_data.subarray(0, -TAG_LENGTH)), decipher.final()]);
+
+    return { data: JSON.parse(decrypted.toString("utf8")), aes_key, iv };
+}
+
+/**
+ * Encrypt a response of the flow data exchange endpoint (Node only).
+ * It uses the AES key of the request, with the bits of its initialization vector flipped.
+ *
+ * @param {Object} response The response to encrypt
+ * @param {Buffer} aes_key The AES key of the request
+ * @param {Buffer} iv The initialization vector of the request
+ * @returns {String} The encrypted response in base64, it must be the http response body
+ */
+function encryptResponse(response, aes_key, iv) {
+    const { createCipheriv } = require('crypto');
+
+    const flipped = Buffer.from(iv.map(e => ~e & 0xFF));
+    const cipher = createCipheriv("aes-128-gcm", aes_key, flipped);
+
+    return Buffer.concat([cipher.update(JSON.stringify(response), "utf8"), cipher.final(), cipher.getAuthTag()]).toString("base64");
+}
+
+/**
+ * Flow data exchange helper, must be called inside the post function of your flow endpoint (Node only).
+ * It decrypts the request, calls the handler and encrypts its response. The health checks (ping) are answered without calling the handler.
+ *
+ * @param {{ encrypted_flow_data: String, encrypted_aes_key: String, initial_vector: String }} body The POST body sent by Whatsapp, already parsed to object
+ * @param {String} private_key The PEM private key matching the public key uploaded to Whatsapp
+ * @param {FlowHandler} handler The function to be called with the decrypted request
+ * @param {String} [passphrase] The passphrase of the private key, if any
+ * @returns {Promise<String>} The encrypted response, it must be the http response body
+ * @throws {Number} 500 if private_key is not specified
+ * @throws {Number} 400 if the request is missing data
+ * @throws {Number} 421 if the request can't be decrypted, so Whatsapp refreshes the public key
+ */
+async function dataExchange(body, private_key, handler, passphrase) {
+    // private_key is required
+    if (!private_key) throw 500;
+
+    // Responds with "400 Bad Request" if it's missing data
+    if (!body || !body.encrypted_flow_data || !body.encrypted_aes_key || !body.initial_vector) throw 400;
+
+    let request;
+    try {
+        request = decryptRequest(body, private_key, passphrase);
+    } catch (e) {
+        // Responds with "421 Misdirected Request" if the request can't be decrypted
+        throw 421;
+    }
+
+    const response = request.data.action === "ping" ? { data: { status: "active" } } : await handler(request.data);
+
+    return encryptResponse(response, request.aes_key, request.iv);
+}
+
+module.exports = { decryptRequest, encryptResponse, dataExchange };
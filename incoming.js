@@ -0,0 +1,374 @@
+/**
+ * Base class for all the incoming messages.
+ * It's also used for the message types which don't have a specific class.
+ *
+ * @property {String} phoneID The bot's phoneID which received the message
+ * @property {String} from The user's phone number, which might differ from the one in raw (like some Brazil and Mexico numbers)
+ * @property {String} id The message id
+ * @property {String} timestamp The message timestamp
+ * @property {String} type The type of the message
+ * @property {String} [name] The user's name
+ * @property {Object} [context] The context object, if the message is a reply
+ * @property {Object} raw The message object as sent by the API
+ */
+class IncomingMessage {
+    /**
+     * Create an IncomingMessage object from a webhook message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     * @throws {Error} If api is not provided
+     * @throws {Error} If phoneID is not provided
+     * @throws {Error} If message is not provided
+     */
+    constructor(api, phoneID, message, name, phone) {
+        if (!api) throw new Error("IncomingMessage must have an api object");
+        if (!phoneID) throw new Error("IncomingMessage must have a phoneID");
+        if (!message) throw new Error("IncomingMessage must have a message object");
+
+        // Not enumerable, so the token doesn't end up in logs or JSON
+        Object.defineProperty(this, "api", { value: api });
+
+        this.phoneID = phoneID;
+        this.from = phone || message.from;
+        this.id = message.id;
+        this.timestamp = message.timestamp;
+        this.type = message.type;
+        if (name) this.name = name;
+        if (message.context) this.context = message.context;
+        this.raw = message;
+    }
+
+    /**
+     * Reply to the message, quoting it
+     *
+     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template|Reaction)} object A Whatsapp component, built using the corresponding module for each type of message.
+     * @returns {Promise} The WhatsAppAPI.sendMessage response
+     */
+    reply(object) {
+        return this.api.sendMessage(this.phoneID, this.from, object, this.id);
+    }
+
+    /**
+     * Mark the message as read
+     *
+     * @returns {Promise} The WhatsAppAPI.markAsRead response
+     */
+    markAsRead() {
+        return this.api.markAsRead(this.phoneID, this.id);
+    }
+}
+
+/**
+ * Incoming text message
+ *
+ * @extends IncomingMessage
+ * @property {String} body The text of the message
+ */
+class IncomingText extends IncomingMessage {
+    /**
+     * Create an IncomingText object from a text message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        this.body = message.text.body;
+    }
+}
+
+/**
+ * Incoming audio, document, image, sticker or video message
+ *
+ * @extends IncomingMessage
+ * @property {String} media_id The media id, which can be used to download the file or to send it again with isItAnID = true
+ * @property {String} [mime_type] The file's mime type
+ * @property {String} [sha256] The file's sha256 hash
+ * @property {String} [caption] The file's caption
+ * @property {String} [filename] The file's filename, only for documents
+ */
+class IncomingMedia extends IncomingMessage {
+    /**
+     * Create an IncomingMedia object from a media message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        const media = message[message.type];
+
+        this.media_id = media.id;
+        if (media.mime_type) this.mime_type = media.mime_type;
+        if (media.sha256) this.sha256 = media.sha256;
+        if (media.caption) this.caption = media.caption;
+        if (media.filename) this.filename = media.filename;
+    }
+}
+
+/**
+ * Incoming location message
+ *
+ * @extends IncomingMessage
+ * @property {Number} latitude The latitude of the location
+ * @property {Number} longitude The longitude of the location
+ * @property {String} [location_name] The name of the location
+ * @property {String} [address] The address of the location
+ * @property {String} [url] The url of the location
+ */
+class IncomingLocation extends IncomingMessage {
+    /**
+     * Create an IncomingLocation object from a location message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        const location = message.location;
+
+        this.latitude = location.latitude;
+        this.longitude = location.longitude;
+        // "name" is already taken by the user's name
+        if (location.name) this.location_name = location.name;
+        if (location.address) this.address = location.address;
+        if (location.url) this.url = location.url;
+    }
+}
+
+/**
+ * Incoming contacts message
+ *
+ * @extends IncomingMessage
+ * @property {Array<Object>} contacts The shared contacts, in the same format used by the API
+ */
+class IncomingContacts extends IncomingMessage {
+    /**
+     * Create an IncomingContacts object from a contacts message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        this.contacts = message.contacts;
+    }
+}
+
+/**
+ * Incoming reply to an interactive reply button, or to a template quick reply button
+ *
+ * @extends IncomingMessage
+ * @property {String} button_id The id of the button, or its payload for template buttons
+ * @property {String} title The title of the button
+ */
+class IncomingButtonReply extends IncomingMessage {
+    /**
+     * Create an IncomingButtonReply object from a button reply message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+
+        if (message.type === "button") {
+            this.button_id = message.button.payload;
+            this.title = message.button.text;
+        } else {
+            this.button_id = message.interactive.button_reply.id;
+            this.title = message.interactive.button_reply.title;
+        }
+    }
+}
+
+/**
+ * Incoming reply to an interactive list
+ *
+ * @extends IncomingMessage
+ * @property {String} row_id The id of the selected row
+ * @property {String} title The title of the selected row
+ * @property {String} [description] The description of the selected row
+ */
+class IncomingListReply extends IncomingMessage {
+    /**
+     * Create an IncomingListReply object from a list reply message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        const reply = message.interactive.list_reply;
+
+        this.row_id = reply.id;
+        this.title = reply.title;
+        if (reply.description) this.description = reply.description;
+    }
+}
+
+/**
+ * Incoming reply to a flow, sent when the user completes it
+ *
+ * @extends IncomingMessage
+ * @property {String} [flow_token] The token of the flow, as sent in the ActionFlow
+ * @property {Object} [response] The data of the flow's last screen, without the flow_token. Undefined if response_json is malformed.
+ * @property {String} response_json The data of the flow's last screen, as sent by Whatsapp
+ * @property {String} body The text of the reply, such as 'Sent'
+ */
+class IncomingFlowReply extends IncomingMessage {
+    /**
+     * Create an IncomingFlowReply object from a flow reply message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        const reply = message.interactive.nfm_reply;
+
+        // Handlers.post already decodes it, but the message might come from somewhere else
+        let data = reply.response;
+        if (!data) {
+            try {
+                data = JSON.parse(reply.response_json);
+            } catch (e) {
+                // Leave the response undefined, the raw response_json is still there
+            }
+        }
+
+        if (data) {
+            const { flow_token, ...response } = data;
+            if (flow_token) this.flow_token = flow_token;
+            this.response = response;
+        }
+
+        this.response_json = reply.response_json;
+        this.body = reply.body;
+    }
+}
+
+/**
+ * Incoming order, sent from a catalog or a cart
+ *
+ * @extends IncomingMessage
+ * @property {String} catalog_id The id of the catalog
+ * @property {String} [text] The text sent with the order
+ * @property {Array<{ product_retailer_id: String, quantity: String, item_price: String, currency: String }>} product_items The ordered products
+ */
+class IncomingOrder extends IncomingMessage {
+    /**
+     * Create an IncomingOrder object from an order message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+        const order = message.order;
+
+        this.catalog_id = order.catalog_id;
+        if (order.text) this.text = order.text;
+        this.product_items = order.product_items;
+    }
+}
+
+/**
+ * Incoming reaction to a message
+ *
+ * @extends IncomingMessage
+ * @property {String} message_id The id of the message the user reacted to
+ * @property {String} [emoji] The emoji, undefined if the user removed the reaction
+ */
+class IncomingReaction extends IncomingMessage {
+    /**
+     * Create an IncomingReaction object from a reaction message
+     *
+     * @param {WhatsAppAPI} api The API object, used to reply
+     * @param {String} phoneID The bot's phoneID
+     * @param {Object} message The message object, as received by the onMessage callback
+     * @param {String} [name] The user's name
+     * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+     */
+    constructor(api, phoneID, message, name, phone) {
+        super(api, phoneID, message, name, phone);
+
+        this.message_id = message.reaction.message_id;
+        if (message.reaction.emoji) this.emoji = message.reaction.emoji;
+    }
+}
+
+/**
+ * Turn a webhook message into the matching Incoming object.
+ * Messages without a specific class are returned as an IncomingMessage.
+ *
+ * @param {WhatsAppAPI} api The API object, used to reply
+ * @param {String} phoneID The bot's phoneID
+ * @param {Object} message The message object, as received by the onMessage callback
+ * @param {String} [name] The user's name
+ * @param {String} [phone] The user's phone number, as received by the onMessage callback. Defaults to the message's from.
+ * @returns {IncomingMessage} The parsed message
+ */
+function parse(api, phoneID, message, name, phone) {
+    switch (message.type) {
+        case "text": return new IncomingText(api, phoneID, message, name, phone);
+        case "audio":
+        case "document":
+        case "image":
+        case "sticker":
+        case "video": return new IncomingMedia(api, phoneID, message, name, phone);
+        case "location": return new IncomingLocation(api, phoneID, message, name, phone);
+        case "contacts": return new IncomingContacts(api, phoneID, message, name, phone);
+        case "button": return new IncomingButtonReply(api, phoneID, message, name, phone);
+        case "order": return new IncomingOrder(api, phoneID, message, name, phone);
+        case "reaction": return new IncomingReaction(api, phoneID, message, name, phone);
+        case "interactive":
+            if (message.interactive.type === "button_reply") return new IncomingButtonReply(api, phoneID, message, name, phone);
+            if (message.interactive.type === "list_reply") return new IncomingListReply(api, phoneID, message, name, phone);
+            if (message.interactive.type === "nfm_reply") return new IncomingFlowReply(api, phoneID, message, name, phone);
+    }
+
+    return new IncomingMessage(api, phoneID, message, name, phone);
+}
+
+module.exports = {
+    parse,
+    IncomingMessage,
+    IncomingText,
+    IncomingMedia,
+    IncomingLocation,
+    IncomingContacts,
+    IncomingButtonReply,
+    IncomingListReply,
+    IncomingFlowReply,
+    IncomingOrder,
+    IncomingReaction,
+};
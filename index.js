@@ -6,31 +6,234 @@ const { Audio, Document, Image, Sticker, Video } = require('./types/media');
 const Location = require('./types/location');
 const { Template } = require('./types/template');
 const Text = require('./types/text');
+const Reaction = require('./types/reaction');
 
 const api = require('./fetch');
 const { Request } = api;
+const Handlers = require('./requests');
+
+const { WhatsAppAPIError } = require('./errors');
+const { retry, DEFAULT_POLICY } = require('./retry');
+const SendQueue = require('./queue');
+const TemplateRegistry = require('./registry');
+const PhoneClient = require('./phone');
+const { mediaKind, toBytes, openSource, writeFile, multipart } = require('./media');
+
+/**
+ * Read the JSON body of a server response.
+ * The bodies which aren't JSON, such as the error pages of a gateway, are read as an empty object.
+ * 
+ * @package
+ * @ignore
+ * @param {Response} response The raw fetch response
+ * @returns {Promise<Object>} The parsed body
+ */
+function json(response) {
+    return response.json().catch(() => ({}));
+}
+
+/**
+ * Throw the API error of a server response, if any
+ * 
+ * @package
+ * @ignore
+ * @param {Object} data The parsed body of the response
+ * @param {Response} response The raw fetch response
+ * @returns {Object} The same body, if it isn't an error
+ * @throws {WhatsAppAPIError} If the body is an error or the response status isn't ok
+ */
+function unwrap(data, response) {
+    if (data.error || !response.ok) throw WhatsAppAPIError.from(data.error || { message: `Request failed with status ${response.status}` });
+    return data;
+}
+
+/**
+ * Read the JSON body of a server response, throwing its API error if any
+ * 
+ * @package
+ * @ignore
+ * @param {Response} response The raw fetch response
+ * @returns {Promise<Object>} The parsed body
+ * @throws {WhatsAppAPIError} Asynchronously, if the body is an error or the response status isn't ok
+ */
+async function parse(response) {
+    return unwrap(await json(response), response);
+}
+
+/**
+ * Callback function to get the token of a request, for apps serving many businesses
+ *
+ * @callback TokenResolver
+ * @param {TokenContext} context The IDs the request is made for
+ * @returns {(String|Promise<String>)} The API token
+ */
+
+/**
+ * The IDs a request is made for, so the token resolver can find the business they belong to.
+ * Only the IDs the request is tied to are set, it might be empty if none was given (such as retrieveTemplate without wabaID).
+ *
+ * @typedef {Object} TokenContext
+ * @property {String} [phoneID] The bot's phone ID
+ * @property {String} [wabaID] The WhatsApp Business Account ID
+ * @property {String} [appID] The app ID
+ */
+
+/**
+ * The WhatsAppAPI options
+ *
+ * @typedef {Object} WhatsAppAPIOptions
+ * @property {(String|TokenResolver)} token The API token, or a function which gets the token of each request
+ * @property {String} [v] The version of the API, defaults to v15.0
+ * @property {Boolean} [parsed] Whether to return a pre-processed response from the API or the raw fetch response, defaults to true
+ * @property {Function} [fetch] The fetch implementation to make the requests with
+ * @property {String} [baseURL] The API base URL, defaults to https://graph.facebook.com
+ * @property {(RetryPolicy|Boolean)} [retry] The retry policy, as in setRetryPolicy. If not specified, the requests are never retried.
+ * @property {String} [appSecret] The app secret, used to verify the webhooks signatures
+ */
 
 /**
  * The main API object
  * 
- * @property {String} token The API token
+ * @property {(String|TokenResolver)} token The API token, or the function which gets the token of each request
  * @property {String} v The API version to use
  * @property {Boolean} parsed If truthy, API operations will return the fetch promise instead. Intended for low level debugging.
+ * @property {Function} fetch The fetch implementation used for the requests
+ * @property {String} baseURL The API base URL, without the trailing slash
+ * @property {String} [appSecret] The app secret, used to verify the webhooks signatures
+ * @property {SendQueue} [queue] The outbound messages queue, if set with setSendQueue
+ * @property {TemplateRegistry} [registry] The templates registry, if set with setTemplateRegistry
  */
 class WhatsAppAPI {
     /**
-     * Initiate the Whatsapp API app
+     * Initiate the Whatsapp API app.
+     * It can be created either with an options object, or with the positional parameters (token, v, parsed, fetch, baseURL).
      * 
-     * @param {String} token The API token, given at setup. It can be either a temporal token or a permanent one.
-     * @param {String} v The version of the API, defaults to v14.0
-     * @param {Boolean} parsed Whether to return a pre-processed response from the API or the raw fetch response. Intended for low level debugging.
+     * @param {(String|TokenResolver|WhatsAppAPIOptions)} token The API token, given at setup. It can be either a temporal token or a permanent one.
+     * It can also be a function which gets the token of each request, or the options object.
+     * @param {String} [v] The version of the API, defaults to v15.0
+     * @param {Boolean} [parsed] Whether to return a pre-processed response from the API or the raw fetch response. Intended for low level debugging.
+     * @param {Function} [fetch] The fetch implementation to make the requests with, such as one with a proxy, a keep-alive agent or extra headers.
+     * If not specified, the global fetch is used if available, else cross-fetch.
+     * @param {String} [baseURL] The API base URL, such as a local mock server for integration tests. Defaults to https://graph.facebook.com
      * @throws {Error} If token is not specified
+     * @throws {TypeError} If token is not a string or a function
+     * @throws {TypeError} If fetch is truthy and is not a function
+     * @throws {TypeError} If the retry option is truthy and is not an object or true
      */
-    constructor(token, v = "v15.0", parsed = true) {
+    constructor(token, v, parsed, fetch, baseURL) {
+        const options = token !== null && typeof token === "object" ? token : { token, v, parsed, fetch, baseURL };
+        ({ token, v = "v15.0", parsed = true, fetch, baseURL = "https://graph.facebook.com" } = options);
+
         if (!token) throw new Error("Token must be specified");
+        if (typeof token !== "string" && typeof token !== "function") throw new TypeError("Token must be a string or a function");
+        if (fetch && typeof fetch !== "function") throw new TypeError("Fetch must be a function");
+
         this.token = token;
         this.v = v;
         this.parsed = !!parsed;
+        this.fetch = fetch || require('./fetch-picker').pick();
+        this.baseURL = baseURL.replace(/\/+$/, "");
+        if (options.appSecret) this.appSecret = options.appSecret;
+        this.setRetryPolicy(options.retry);
+    }
+
+    /**
+     * Create a client for another business, which shares this client's settings, logger and queue, but not its templates registry
+     * 
+     * @param {(String|TokenResolver|WhatsAppAPIOptions)} options The token of the business, or the options to override
+     * @returns {WhatsAppAPI} The new client
+     * @throws {Error} If options is not specified
+     */
+    tenant(options) {
+        if (!options) throw new Error("Options must be specified");
+        if (typeof options !== "object") options = { token: options };
+
+        const client = new WhatsAppAPI({
+            token: this.token,
+            v: this.v,
+            parsed: this.parsed,
+            fetch: this.fetch,
+            baseURL: this.baseURL,
+            appSecret: this.appSecret,
+            retry: this._retry || false,
+            ...options,
+        });
+
+        client._register = this._register;
+        client.queue = this.queue;
+        return client;
+    }
+
+    /**
+     * Get a client bound to one of the bot's phone IDs, to send messages and manage QR codes without passing the phone ID on each call
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @returns {PhoneClient} The bound client
+     * @throws {Error} If phoneID is not specified
+     */
+    phone(phoneID) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        return new PhoneClient(this, phoneID);
+    }
+
+    /**
+     * Get the connection settings for a request, resolving the token of its context
+     * 
+     * @package
+     * @ignore
+     * @param {TokenContext} [context] The IDs the request is made for
+     * @returns {Promise<Transport>} The token, version, fetch implementation and base URL
+     * @throws {Error} If the token resolver doesn't return a token
+     */
+    async _transport(context = {}) {
+        const token = typeof this.token === "function" ? await this.token(context) : this.token;
+        if (!token) {
+            const { phoneID, wabaID, appID } = context;
+            throw new Error(`No token found${phoneID ? ` for phone ID ${phoneID}` : wabaID ? ` for WABA ID ${wabaID}` : appID ? ` for app ID ${appID}` : ""}`);
+        }
+        return { token, v: this.v, fetch: this.fetch, baseURL: this.baseURL };
+    }
+
+    /**
+     * Make a request with the retry policy, resolving the connection settings on each attempt
+     *
+     * @package
+     * @ignore
+     * @param {TokenContext} context The IDs the request is made for
+     * @param {function(Transport): Promise<Response>} request The fetch.js function call to make
+     * @param {Boolean} [idempotent] Whether the request can be repeated safely, as in retry
+     * @returns {Promise<Response>} The raw fetch response
+     */
+    _fetch(context, request, idempotent) {
+        return retry(async () => request(await this._transport(context)), this._retry, idempotent);
+    }
+
+    /**
+     * Make a request with the retry policy and, if parsed is set to true, unwrap its JSON response
+     *
+     * @package
+     * @ignore
+     * @param {TokenContext} context The IDs the request is made for
+     * @param {function(Transport): Promise<Response>} request The fetch.js function call to make
+     * @returns {Promise} The server response, or the raw fetch response if parsed is set to false
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    _call(context, request) {
+        const promise = this._fetch(context, request);
+        return this.parsed ? promise.then(parse) : promise;
+    }
+
+    /**
+     * Verify the signature of a webhook POST request with the app secret
+     * 
+     * @param {(String|Uint8Array)} raw_body The POST body exactly as it was received, before parsing it
+     * @param {String} signature The X-Hub-Signature-256 header
+     * @returns {Promise<Boolean>} Whether the signature matches the body
+     * @throws {Error} If the appSecret option wasn't specified
+     */
+    verifyWebhook(raw_body, signature) {
+        if (!this.appSecret) throw new Error("App secret must be specified");
+        return Handlers.verify(raw_body, signature, this.appSecret);
     }
     
     /**
@@ -39,14 +242,15 @@ class WhatsAppAPI {
      * @callback Logger
      * @param {String} phoneID The bot's phoneID from where the message was sent
      * @param {String} to The user's phone number
-     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template)} object The message object
+     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template|Reaction)} object The message object
      * @param {Request} request The object sent to the server
      * @param {(String|Void)} id The message id, undefined if parsed is set to false
      * @param {(Object|Void)} response The parsed response from the server, undefined if parsed is set to false
      */
 
     /**
-     * Set a callback function for sendMessage
+     * Set a callback function for sendMessage.
+     * The errors thrown by the callback are ignored, so they don't make a sent message look like it failed.
      * 
      * @param {Logger} callback The callback function to set
      * @returns {WhatsAppAPI} The API object, for chaining
@@ -58,33 +262,363 @@ class WhatsAppAPI {
         return this;
     }
 
+    /**
+     * Run the logger, if any, ignoring its errors
+     *
+     * @package
+     * @ignore
+     * @param {...*} args The logger parameters
+     */
+    _log(...args) {
+        if (!this._register) return;
+
+        try {
+            this._register(...args);
+        } catch (e) {
+            // The message was already sent, rejecting would make the caller send it again
+        }
+    }
+
+    /**
+     * Set the retry policy for the API requests, which are never retried until it's set.
+     * With the default policy, the requests which fail with a 429 or 5xx status, or with a throttling error code, are retried up to 3 times with exponential backoff.
+     * The pair and spam rate limits (codes 131048 and 131056) aren't retried, as they last far longer than any backoff.
+     * If the server sends a Retry-After header, it's honored instead of the policy delay.
+     * sendMessage is only retried on the 429 status and throttling error codes, as a message which failed with a server error might have been sent anyway.
+     * Set resendOnServerError in the policy to retry it on server errors too, accepting it might be delivered twice.
+     * 
+     * @param {(RetryPolicy|Boolean)} policy The retry policy, merged with the default one. If true, the default policy is used. If falsy, the requests are never retried.
+     * @returns {WhatsAppAPI} The API object, for chaining
+     * @throws {TypeError} If policy is truthy and is not an object or true
+     * @throws {TypeError} If policy.onRetry is truthy and is not a function
+     */
+    setRetryPolicy(policy) {
+        if (policy && policy !== true && typeof policy !== "object") throw new TypeError("Policy must be an object");
+        if (policy && policy.onRetry && typeof policy.onRetry !== "function") throw new TypeError("onRetry must be a function");
+        this._retry = policy ? { ...DEFAULT_POLICY, ...(policy === true ? {} : policy) } : undefined;
+        return this;
+    }
+
+    /**
+     * Queue the messages sent with sendMessage, limiting how many messages per second each phone ID sends.
+     * The messages to the same user are sent in the same order they were queued, waiting for the previous one to be sent.
+     * The queue is available at the queue property, to check its depth or listen to its drain event.
+     * 
+     * @param {(Number|SendQueue)} [rate] The maximum messages per second for each phone ID, or a SendQueue to share between many API objects. If falsy, the queue is removed and the messages are sent immediately.
+     * @returns {WhatsAppAPI} The API object, for chaining
+     * @throws {Error} If rate is truthy and is not a positive number or a SendQueue
+     */
+    setSendQueue(rate) {
+        this.queue = !rate ? undefined : rate instanceof SendQueue ? rate : new SendQueue(rate);
+        return this;
+    }
+
+    /**
+     * Check the Template messages against a registry of approved templates before sending them.
+     * If a Template isn't registered in its language or its parameters don't match the definition, sendMessage throws before making any request.
+     * 
+     * @param {(TemplateRegistry|Array<Object>|{ data: Array<Object> })} [registry] The registry, or the templates to create one from, such as the response of retrieveTemplates. If falsy, the registry is removed.
+     * @returns {WhatsAppAPI} The API object, for chaining
+     * @throws {Error} If registry is truthy and isn't a TemplateRegistry or valid templates
+     */
+    setTemplateRegistry(registry) {
+        this.registry = !registry ? undefined : registry instanceof TemplateRegistry ? registry : new TemplateRegistry(registry);
+        return this;
+    }
+
     /**
      * Send a Whatsapp message
      * 
      * @param {String} phoneID The bot's phone ID
      * @param {String} to The user's phone number
-     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template)} object A Whatsapp component, built using the corresponding module for each type of message.
+     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template|Reaction)} object A Whatsapp component, built using the corresponding module for each type of message.
      * @param {String} [context] The message ID of the message to reply to
-     * @returns {Promise} The server response
+     * @returns {Promise} The server response. If a logger is set, it's called before the promise resolves. If a queue is set, the promise resolves once the message leaves the queue.
      * @throws {Error} If phoneID is not specified
      * @throws {Error} If to is not specified
      * @throws {Error} If object is not specified
+     * @throws {Error} If a registry is set and object is a Template which doesn't match its registered definition
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
      */
-    async sendMessage(phoneID, to, object, context = "") {
+    sendMessage(phoneID, to, object, context = "") {
         if (!phoneID) throw new Error("Phone ID must be specified");
         if (!to) throw new Error("To must be specified");
         if (!object) throw new Error("Message must have a message object");
+        if (this.registry && object._ === "template") this.registry.validate(object);
+
+        const request = new Request(object, to, context);
+
+        const send = () => {
+            // A failed send might have reached the user anyway, so it's only retried on throttling unless the policy says otherwise
+            const promise = this._fetch({ phoneID }, transport => api.sendMessage(transport, phoneID, request), false);
+
+            if (!this.parsed) {
+                this._log(phoneID, to, object, request);
+                return promise;
+            }
+
+            return promise.then(async response => {
+                const data = await json(response);
+                const id = data.messages ? data.messages[0].id : undefined;
+                this._log(phoneID, to, object, request, id, data);
+                return unwrap(data, response);
+            }, error => {
+                // Log the failed attempt too, the server response is unknown
+                this._log(phoneID, to, object, request);
+                throw error;
+            });
+        };
+
+        return this.queue ? this.queue.push(phoneID, to, send) : send();
+    }
+
+    /**
+     * Upload a file to the API, so it can be sent using its id, such as new Image(id, true)
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {(Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable|String)} data The file as a Buffer, Blob, web or Node stream, or a file path (Node only)
+     * @param {String} mimeType The file's mime type, such as "image/png"
+     * @param {String} [filename] The file's name
+     * @returns {Promise} The media id, or the raw fetch response if parsed is set to false
+     * @throws {Error} If phoneID is not specified
+     * @throws {Error} If data is not specified
+     * @throws {Error} If mimeType is not specified or is not supported by the API
+     * @throws {Error} Asynchronously, if the file is over the size limit of its kind of media
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    uploadMedia(phoneID, data, mimeType, filename = "file") {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (!data) throw new Error("Data must be specified");
+        if (!mimeType) throw new Error("Mime type must be specified");
+
+        const kind = mediaKind(mimeType);
+        if (!kind) throw new Error(`Unsupported mime type '${mimeType}'`);
+
+        const promise = toBytes(data, kind).then(bytes => {
+            const { body, boundary } = multipart({ messaging_product: "whatsapp", type: mimeType }, { name: "file", filename, type: mimeType, bytes });
+            return this._fetch({ phoneID }, transport => api.uploadMedia(transport, phoneID, body, boundary));
+        });
+
+        return this.parsed ? promise.then(parse).then(e => e.id) : promise;
+    }
+
+    /**
+     * Callback function after each chunk of a resumable upload is sent
+     *
+     * @callback onProgress
+     * @param {Number} uploaded The bytes uploaded so far
+     * @param {Number} total The file size in bytes
+     */
+
+    /**
+     * Create a resumable upload session.
+     * It's used to get file handles, such as for profile pictures and template header samples, which the simple media upload can't provide.
+     * 
+     * @param {String} appID The app ID
+     * @param {Number} length The file size in bytes
+     * @param {String} mimeType The file's mime type
+     * @param {String} [filename] The file's name
+     * @returns {Promise} The server response, with the session id
+     * @throws {Error} If appID is not specified
+     * @throws {Error} If length is not a positive number
+     * @throws {Error} If mimeType is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    createUploadSession(appID, length, mimeType, filename = "file") {
+        if (!appID) throw new Error("App ID must be specified");
+        if (!(length > 0)) throw new Error("Length must be a positive number");
+        if (!mimeType) throw new Error("Mime type must be specified");
+        return this._call({ appID }, transport => api.makeUploadSession(transport, appID, length, mimeType, filename));
+    }
+
+    /**
+     * Get the status of a resumable upload session
+     * 
+     * @param {String} sessionID The upload session ID
+     * @param {String} [appID] The app ID which created the session, passed to the token resolver
+     * @returns {Promise} The server response, with the bytes already received in file_offset
+     * @throws {Error} If sessionID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    retrieveUploadSession(sessionID, appID) {
+        if (!sessionID) throw new Error("Session ID must be specified");
+        return this._call({ appID }, transport => api.getUploadSession(transport, sessionID));
+    }
+
+    /**
+     * Upload a file with the resumable upload API, in chunks, and get its handle.
+     * If the connection drops, the upload continues from the last byte the server received, as many times as the retry policy attempts.
+     * If it still fails, the error has the session ID in its session property, which can be passed in options to resume the upload later.
+     * The file is read one chunk at a time, so it's never loaded whole into memory, unless it's a stream and options.length is not specified.
+     * It always works as if parsed is set to true.
+     * 
+     * @param {String} appID The app ID
+     * @param {(Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable|String)} data The file as a Buffer, Blob, web or Node stream, or a file path (Node only)
+     * @param {String} mimeType The file's mime type, such as "image/jpeg"
+     * @param {Object} [options] The upload options
+     * @param {String} [options.filename] The file's name
+     * @param {Number} [options.length] The file size in bytes, only used for streams, which are read into memory to know it if it's not specified
+     * @param {Number} [options.chunkSize] The maximum bytes sent on each request, defaults to 4MB
+     * @param {String} [options.session] The ID of a previous upload session, to resume it instead of starting over
+     * @param {onProgress} [options.onProgress] The function to be called after each chunk is sent
+     * @returns {Promise<String>} The file handle
+     * @throws {Error} If appID is not specified
+     * @throws {Error} If data is not specified
+     * @throws {Error} If mimeType is not specified
+     * @throws {Error} If options.chunkSize is not a positive number
+     * @throws {TypeError} If options.onProgress is truthy and is not a function
+     * @throws {Error} Asynchronously, if the file ends before options.length
+     * @throws {WhatsAppAPIError} Asynchronously, if the API returns an error
+     */
+    resumableUpload(appID, data, mimeType, { filename = "file", length, chunkSize = 4 * 1024 * 1024, session, onProgress } = {}) {
+        if (!appID) throw new Error("App ID must be specified");
+        if (!data) throw new Error("Data must be specified");
+        if (!mimeType) throw new Error("Mime type must be specified");
+        if (!(chunkSize > 0)) throw new Error("Chunk size must be a positive number");
+        if (onProgress && typeof onProgress !== "function") throw new TypeError("onProgress must be a function");
+
+        const call = request => this._fetch({ appID }, request).then(parse);
+        const offsetOf = async id => Number((await call(transport => api.getUploadSession(transport, id))).file_offset) || 0;
+
+        return (async () => {
+            const file = await openSource(data, length);
+
+            try {
+                let offset = 0;
+                if (session) offset = await offsetOf(session);
+                else session = (await call(transport => api.makeUploadSession(transport, appID, file.size, mimeType, filename))).id;
+
+                let resumes = this._retry ? this._retry.attempts - 1 : 0;
+
+                try {
+                    for (;;) {
+                        const chunk = await file.read(offset, chunkSize);
+                        if (!chunk.length) throw new Error(`The file ended at ${offset} bytes, but its length is ${file.size} bytes`);
+
+                        try {
+                            const response = await call(transport => api.uploadChunk(transport, session, offset, chunk));
+                            offset += chunk.length;
+                            if (onProgress) onProgress(offset, file.size);
+                            if (offset >= file.size) return response.h;
+                        } catch (error) {
+                            // The API errors won't go away, but a dropped connection might have left the chunk halfway
+                            if (error instanceof WhatsAppAPIError || resumes-- <= 0) throw error;
+                            offset = await offsetOf(session);
+                        }
+                    }
+                } catch (error) {
+                    error.session = session;
+                    throw error;
+                }
+            } finally {
+                await file.close();
+            }
+        })();
+    }
+
+    /**
+     * Get the metadata of an uploaded or received file, such as its download url, mime type, sha256 and size
+     * 
+     * @param {String} id The media id
+     * @param {String} [phoneID] The bot's phone ID. If specified, the API checks the media belongs to it.
+     * @returns {Promise} The server response
+     * @throws {Error} If id is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    retrieveMedia(id, phoneID) {
+        if (!id) throw new Error("ID must be specified");
+        return this._call({ phoneID }, transport => api.getMedia(transport, id, phoneID));
+    }
 
-        const response = await api.sendMessage(this.token, this.v, phoneID, to, object, context);
-        return response;
+    /**
+     * Delete an uploaded file
+     * 
+     * @param {String} id The media id
+     * @param {String} [phoneID] The bot's phone ID. If specified, the API checks the media belongs to it.
+     * @returns {Promise} The server response
+     * @throws {Error} If id is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    deleteMedia(id, phoneID) {
+        if (!id) throw new Error("ID must be specified");
+        return this._call({ phoneID }, transport => api.deleteMedia(transport, id, phoneID));
+    }
+
+    /**
+     * Download a file from its media url, without loading it into memory
+     * 
+     * @param {String} url The media url, given by retrieveMedia
+     * @param {String} [phoneID] The bot's phone ID the media belongs to, passed to the token resolver
+     * @returns {Promise} The file as a stream, which is a web ReadableStream or a Node Readable depending on the fetch implementation, or the raw fetch response if parsed is set to false
+     * @throws {Error} If url is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    fetchMedia(url, phoneID) {
+        if (!url) throw new Error("URL must be specified");
+        const promise = this._fetch({ phoneID }, transport => api.fetchMedia(transport, url));
+        if (!this.parsed) return promise;
+
+        return promise.then(async response => response.ok ? response.body : parse(response));
     }
 
-    async getMedia(mediaID){
+    /**
+     * Download a file to the disk, checking its sha256 and size match the ones the API reported (Node only).
+     * If they don't or the download fails halfway, the file is deleted. It always works as if parsed is set to true.
+     * 
+     * @param {String} id The media id
+     * @param {String} destination The path where the file will be written
+     * @param {String} [phoneID] The bot's phone ID. If specified, the API checks the media belongs to it.
+     * @returns {Promise} The media metadata, as returned by retrieveMedia
+     * @throws {Error} If id is not specified
+     * @throws {Error} If destination is not specified
+     * @throws {Error} Asynchronously, if the downloaded file doesn't match the sha256 or size reported by the API, or the download fails halfway
+     * @throws {WhatsAppAPIError} Asynchronously, if the API returns an error
+     */
+    downloadMedia(id, destination, phoneID) {
+        if (!id) throw new Error("ID must be specified");
+        if (!destination) throw new Error("Destination must be specified");
+
+        const promise = this._fetch({ phoneID }, transport => api.getMedia(transport, id, phoneID));
+
+        return promise.then(parse).then(async metadata => {
+            const response = await this._fetch({ phoneID }, transport => api.fetchMedia(transport, metadata.url));
+            if (!response.ok) await parse(response);
+
+            try {
+                const { sha256, size } = await writeFile(response.body, destination);
+
+                // The API has used both hex and base64 encoded hashes
+                const valid_hash = !metadata.sha256 || [sha256.toString("hex"), sha256.toString("base64")].includes(metadata.sha256);
+                const valid_size = metadata.file_size === undefined || Number(metadata.file_size) === size;
+
+                if (!valid_hash || !valid_size) throw new Error(`The downloaded file doesn't match the ${valid_hash ? "size" : "sha256"} reported by the API`);
+            } catch (error) {
+                // Don't leave a partial or tampered file behind
+                await require('fs').promises.unlink(destination).catch(() => {});
+                throw error;
+            }
+
+            return metadata;
+        });
+    }
+
+    /**
+     * Download a file into memory. It's the same as retrieveMedia followed by fetchMedia, and it always works as if parsed is set to true.
+     * 
+     * @deprecated Use fetchMedia or downloadMedia instead, which don't load the whole file into memory
+     * @param {String} mediaID The media id
+     * @returns {Promise<Buffer>} The file
+     * @throws {Error} If mediaID is not specified
+     * @throws {WhatsAppAPIError} If the API returns an error
+     */
+    async getMedia(mediaID) {
         if (!mediaID) throw new Error("Media ID must be specified");
-        const promise = await api.getDocumentLink(this.token,this.v,mediaID);
-        const documentLink = await promise.json();
-        const secondPromise = await api.getImage(this.token,documentLink.url);
-        return await secondPromise.buffer();
+
+        const metadata = await this._fetch({}, transport => api.getMedia(transport, mediaID)).then(parse);
+        const response = await this._fetch({}, transport => api.fetchMedia(transport, metadata.url));
+        if (!response.ok) await parse(response);
+
+        return Buffer.from(await response.arrayBuffer());
     }
 
     /**
@@ -95,12 +629,12 @@ class WhatsAppAPI {
      * @returns {Promise} The server response
      * @throws {Error} If phoneID is not specified
      * @throws {Error} If messageId is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
      */
     markAsRead(phoneID, messageId) {
         if (!phoneID) throw new Error("Phone ID must be specified");
         if (!messageId) throw new Error("To must be specified");
-        const promise = api.readMessage(this.token, this.v, phoneID, messageId);
-        return this.parsed ? promise.then(e => e.json()) : promise;
+        return this._call({ phoneID }, transport => api.readMessage(transport, phoneID, messageId));
     }
     
     /**
@@ -113,13 +647,13 @@ class WhatsAppAPI {
      * @throws {Error} If phoneID is not specified
      * @throws {Error} If message is not specified
      * @throws {Error} If format is not either 'png' or 'svn'
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
      */
     createQR(phoneID, message, format = "png") {
         if (!phoneID) throw new Error("Phone ID must be specified");
         if (!message) throw new Error("Message must be specified");
         if (!["png", "svg"].includes(format)) throw new Error("Format must be either 'png' or 'svg'");
-        const promise = api.makeQR(this.token, this.v, phoneID, message, format);
-        return this.parsed ? promise.then(e => e.json()) : promise;
+        return this._call({ phoneID }, transport => api.makeQR(transport, phoneID, message, format));
     }
 
     /**
@@ -129,11 +663,11 @@ class WhatsAppAPI {
      * @param {String} [id] The QR's id to find. If not specified, all QRs will be returned
      * @returns {Promise} The server response
      * @throws {Error} If phoneID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
      */
     retrieveQR(phoneID, id) {
         if (!phoneID) throw new Error("Phone ID must be specified");
-        const promise = api.getQR(this.token, this.v, phoneID, id);
-        return this.parsed ? promise.then(e => e.json()) : promise;
+        return this._call({ phoneID }, transport => api.getQR(transport, phoneID, id));
     }
 
     /**
@@ -146,13 +680,13 @@ class WhatsAppAPI {
      * @throws {Error} If phoneID is not specified
      * @throws {Error} If id is not specified
      * @throws {Error} If message is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
      */
     updateQR(phoneID, id, message) {
         if (!phoneID) throw new Error("Phone ID must be specified");
         if (!id) throw new Error("ID must be specified");
         if (!message) throw new Error("Message must be specified");
-        const promise = api.updateQR(this.token, this.v, phoneID, id, message);
-        return this.parsed ? promise.then(e => e.json()) : promise;
+        return this._call({ phoneID }, transport => api.updateQR(transport, phoneID, id, message));
     }
 
     /**
@@ -163,12 +697,234 @@ class WhatsAppAPI {
      * @returns {Promise} The server response
      * @throws {Error} If phoneID is not specified
      * @throws {Error} If id is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
      */
     deleteQR(phoneID, id) {
         if (!phoneID) throw new Error("Phone ID must be specified");
         if (!id) throw new Error("ID must be specified");
-        const promise = api.deleteQR(this.token, this.v, phoneID, id);
-        return this.parsed ? promise.then(e => e.json()) : promise;
+        return this._call({ phoneID }, transport => api.deleteQR(transport, phoneID, id));
+    }
+
+    /**
+     * Get the message templates of a WhatsApp Business Account
+     * 
+     * @param {String} wabaID The WhatsApp Business Account ID
+     * @param {Object<String, String>} [filters] The query parameters to filter and page the templates, such as name, status, category, language, fields, limit or after
+     * @returns {Promise} The server response, with the templates in data and the cursors in paging
+     * @throws {Error} If wabaID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    retrieveTemplates(wabaID, filters = {}) {
+        if (!wabaID) throw new Error("WABA ID must be specified");
+        return this._call({ wabaID }, transport => api.getTemplates(transport, wabaID, filters));
+    }
+
+    /**
+     * Get a message template
+     * 
+     * @param {String} id The template's id
+     * @param {String} [fields] The comma separated fields to get, such as "name,status,components"
+     * @param {String} [wabaID] The WhatsApp Business Account ID the template belongs to, passed to the token resolver
+     * @returns {Promise} The server response
+     * @throws {Error} If id is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    retrieveTemplate(id, fields, wabaID) {
+        if (!id) throw new Error("ID must be specified");
+        return this._call({ wabaID }, transport => api.getTemplate(transport, id, fields));
+    }
+
+    /**
+     * Create a message template. It will be reviewed by Meta before it can be sent.
+     * 
+     * @param {String} wabaID The WhatsApp Business Account ID
+     * @param {TemplateDefinition} definition The template definition
+     * @returns {Promise} The server response, with the template id, status and category
+     * @throws {Error} If wabaID is not specified
+     * @throws {Error} If definition is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    createTemplate(wabaID, definition) {
+        if (!wabaID) throw new Error("WABA ID must be specified");
+        if (!definition) throw new Error("Definition must be specified");
+        return this._call({ wabaID }, transport => api.makeTemplate(transport, wabaID, definition));
+    }
+
+    /**
+     * Edit a message template. Only the category and the components can be changed.
+     * 
+     * @param {String} id The template's id
+     * @param {(TemplateDefinition|{ category: String, components: Array })} definition The new template definition, or an object with the new category and/or components
+     * @param {String} [wabaID] The WhatsApp Business Account ID the template belongs to, passed to the token resolver
+     * @returns {Promise} The server response
+     * @throws {Error} If id is not specified
+     * @throws {Error} If definition doesn't have a category nor components
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    updateTemplate(id, definition, wabaID) {
+        if (!id) throw new Error("ID must be specified");
+        if (!definition || (!definition.category && !definition.components)) throw new Error("Definition must have a category or components");
+
+        const changes = {};
+        if (definition.category) changes.category = definition.category;
+        if (definition.components) changes.components = definition.components;
+
+        return this._call({ wabaID }, transport => api.updateTemplate(transport, id, changes));
+    }
+
+    /**
+     * Delete a message template
+     * 
+     * @param {String} wabaID The WhatsApp Business Account ID
+     * @param {String} name The template's name. If id is not specified, the template is deleted in all its languages.
+     * @param {String} [id] The template's id, to delete only one language of the template
+     * @returns {Promise} The server response
+     * @throws {Error} If wabaID is not specified
+     * @throws {Error} If name is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    deleteTemplate(wabaID, name, id) {
+        if (!wabaID) throw new Error("WABA ID must be specified");
+        if (!name) throw new Error("Name must be specified");
+        return this._call({ wabaID }, transport => api.deleteTemplate(transport, wabaID, name, id));
+    }
+
+    /**
+     * Get the phone numbers of a WhatsApp Business Account
+     * 
+     * @param {String} wabaID The WhatsApp Business Account ID
+     * @param {String} [fields] The comma separated fields to get, such as "display_phone_number,verified_name,quality_rating"
+     * @returns {Promise} The server response, with the phone numbers in data
+     * @throws {Error} If wabaID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    retrievePhoneNumbers(wabaID, fields) {
+        if (!wabaID) throw new Error("WABA ID must be specified");
+        return this._call({ wabaID }, transport => api.getPhoneNumbers(transport, wabaID, fields));
+    }
+
+    /**
+     * Get the information of a phone number, such as its quality rating, verified name and messaging limit tier
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {String} [fields] The comma separated fields to get
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    retrievePhoneNumber(phoneID, fields = "display_phone_number,verified_name,quality_rating,messaging_limit_tier,code_verification_status,name_status") {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        return this._call({ phoneID }, transport => api.getPhoneNumber(transport, phoneID, fields));
+    }
+
+    /**
+     * Request a verification code for a phone number
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {String} [method] How to send the code. Can be either 'SMS' or 'VOICE'.
+     * @param {String} [language] The language of the code message, such as en_US
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {Error} If method is not either 'SMS' or 'VOICE'
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    requestCode(phoneID, method = "SMS", language = "en_US") {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (!["SMS", "VOICE"].includes(method)) throw new Error("Method must be either 'SMS' or 'VOICE'");
+        return this._call({ phoneID }, transport => api.postPhoneNumber(transport, phoneID, "request_code", { code_method: method, language }));
+    }
+
+    /**
+     * Verify a phone number with the code received from requestCode
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {String} code The verification code
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {Error} If code is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    verifyCode(phoneID, code) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (!code) throw new Error("Code must be specified");
+        return this._call({ phoneID }, transport => api.postPhoneNumber(transport, phoneID, "verify_code", { code: String(code) }));
+    }
+
+    /**
+     * Register a phone number to use it with Cloud API
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {String} pin The 6 digits two-step verification PIN. If the number doesn't have one, it's set to this PIN.
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {Error} If pin is not a 6 digits string
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    registerPhoneNumber(phoneID, pin) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (!/^\d{6}$/.test(pin)) throw new Error("PIN must be 6 digits");
+        return this._call({ phoneID }, transport => api.postPhoneNumber(transport, phoneID, "register", { messaging_product: "whatsapp", pin }));
+    }
+
+    /**
+     * Deregister a phone number from Cloud API
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    deregisterPhoneNumber(phoneID) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        return this._call({ phoneID }, transport => api.postPhoneNumber(transport, phoneID, "deregister"));
+    }
+
+    /**
+     * Set or change the two-step verification PIN of a phone number
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {String} pin The new 6 digits PIN
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {Error} If pin is not a 6 digits string
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    setTwoStepPIN(phoneID, pin) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (!/^\d{6}$/.test(pin)) throw new Error("PIN must be 6 digits");
+        return this._call({ phoneID }, transport => api.postPhoneNumber(transport, phoneID, "", { pin }));
+    }
+
+    /**
+     * Get the business profile of a phone number
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {(String|Array<String>)} [fields] The fields to get, as an array or a comma separated string
+     * @returns {Promise} The server response, with the profile in data[0]
+     * @throws {Error} If phoneID is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    getBusinessProfile(phoneID, fields = ["about", "address", "description", "email", "profile_picture_url", "websites", "vertical"]) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (Array.isArray(fields)) fields = fields.join(",");
+        return this._call({ phoneID }, transport => api.getBusinessProfile(transport, phoneID, fields));
+    }
+
+    /**
+     * Update the business profile of a phone number. Only the fields set in the profile are changed.
+     * To change the profile picture, upload it with the resumable upload API and set its handle as profile_picture_handle.
+     * 
+     * @param {String} phoneID The bot's phone ID
+     * @param {BusinessProfile} profile The fields to update
+     * @returns {Promise} The server response
+     * @throws {Error} If phoneID is not specified
+     * @throws {Error} If profile is not specified
+     * @throws {WhatsAppAPIError} Asynchronously, if parsed is set to true and the API returns an error
+     */
+    updateBusinessProfile(phoneID, profile) {
+        if (!phoneID) throw new Error("Phone ID must be specified");
+        if (!profile) throw new Error("Profile must be specified");
+        return this._call({ phoneID }, transport => api.updateBusinessProfile(transport, phoneID, profile));
     }
 }
 
@@ -178,7 +934,42 @@ class WhatsAppAPI {
  * @property {Object}           Handlers                            The handlers object
  * @property {Function}         Handlers.post                       The post handler
  * @property {Function}         Handlers.get                        The get handler
+ * @property {Function}         Handlers.verify                     The webhook signature checker
+ * @property {Function}         Handlers.verifiedPost               The post handler for signed requests
+ * @property {Router}           Router                              The webhook router
+ * @property {Object}           Incoming                            The incoming messages module
+ * @property {Function}         Incoming.parse                      The webhook message parser
+ * @property {IncomingMessage}  Incoming.IncomingMessage            The base incoming message object
+ * @property {IncomingText}     Incoming.IncomingText               The incoming text object
+ * @property {IncomingMedia}    Incoming.IncomingMedia              The incoming media object
+ * @property {IncomingLocation} Incoming.IncomingLocation           The incoming location object
+ * @property {IncomingContacts} Incoming.IncomingContacts           The incoming contacts object
+ * @property {IncomingButtonReply} Incoming.IncomingButtonReply     The incoming button reply object
+ * @property {IncomingListReply} Incoming.IncomingListReply         The incoming list reply object
+ * @property {IncomingFlowReply} Incoming.IncomingFlowReply         The incoming flow reply object
+ * @property {IncomingOrder}    Incoming.IncomingOrder              The incoming order object
+ * @property {IncomingReaction} Incoming.IncomingReaction           The incoming reaction object
+ * @property {Object}           Flows                               The flows data exchange module
+ * @property {Function}         Flows.dataExchange                  The flow data exchange endpoint helper
+ * @property {Function}         Flows.decryptRequest                The flow request decrypter
+ * @property {Function}         Flows.encryptResponse               The flow response encrypter
+ * @property {Object}           Errors                              The API errors module
+ * @property {WhatsAppAPIError} Errors.WhatsAppAPIError             The base API error
+ * @property {AuthenticationError} Errors.AuthenticationError       The invalid token or permissions error
+ * @property {RateLimitError}   Errors.RateLimitError               The throttling error
+ * @property {ServiceError}     Errors.ServiceError                 The temporary API failure error
+ * @property {InvalidParameterError} Errors.InvalidParameterError   The invalid parameter error
+ * @property {ReEngagementError} Errors.ReEngagementError           The closed 24 hours window error
+ * @property {MediaError}       Errors.MediaError                   The media error
+ * @property {TemplateError}    Errors.TemplateError                The template error
+ * @property {ValidationError}  Errors.ValidationError              The message schema error, thrown by the types constructors
+ * @property {PhoneClient}      PhoneClient                         The client bound to a phone ID
+ * @property {SendQueue}        SendQueue                           The outbound messages queue
+ * @property {TemplateRegistry} TemplateRegistry                    The approved templates registry
+ * @property {Function}         preview                             The Template preview renderer
+ * @property {Function}         validate                            The Request schema checker
  * @property {Object}           Types                               The API types objects
+ * @property {BusinessProfile}  Types.BusinessProfile               The API BusinessProfile type object
  * @property {Object}           Types.Contacts                      The Contacts module
  * @property {Contacts}         Types.Contacts.Contacts             The API Contacts type object
  * @property {Address}          Types.Contacts.Address              The API Address type object
@@ -198,6 +989,9 @@ class WhatsAppAPI {
  * @property {ActionList}       Types.Interactive.ActionList        The API Action type object
  * @property {ListSection}      Types.Interactive.ListSection       The API Section type object
  * @property {Row}              Types.Interactive.Row               The API Row type object
+ * @property {ActionCTA}        Types.Interactive.ActionCTA         The API Action type object
+ * @property {ActionLocation}   Types.Interactive.ActionLocation    The API Action type object
+ * @property {ActionFlow}       Types.Interactive.ActionFlow        The API Action type object
  * @property {ActionCatalog}    Types.Interactive.ActionCatalog     The API Action type object
  * @property {ProductSection}   Types.Interactive.ProductSection    The API Section type object
  * @property {Product}          Types.Interactive.Product           The API Product type object
@@ -209,6 +1003,7 @@ class WhatsAppAPI {
  * @property {Image}            Types.Media.Image                   The API Image type object
  * @property {Sticker}          Types.Media.Sticker                 The API Sticker type object
  * @property {Video}            Types.Media.Video                   The API Video type object
+ * @property {Reaction}         Types.Reaction                      The API Reaction type object
  * @property {Object}           Types.Template                      The Template module
  * @property {Template}         Types.Template.Template             The API Template type object
  * @property {Language}         Types.Template.Language             The API Language type object
@@ -216,20 +1011,43 @@ class WhatsAppAPI {
  * @property {ButtonParameter}  Types.Template.ButtonParameter      The API ButtonParameter type object
  * @property {HeaderComponent}  Types.Template.HeaderComponent      The API HeaderComponent type object
  * @property {BodyComponent}    Types.Template.BodyComponent        The API BodyComponent type object
+ * @property {CarouselComponent} Types.Template.CarouselComponent    The API CarouselComponent type object
+ * @property {CarouselCard}     Types.Template.CarouselCard         The API CarouselCard type object
+ * @property {LTOComponent}     Types.Template.LTOComponent         The API LTOComponent type object
+ * @property {CatalogAction}    Types.Template.CatalogAction        The API CatalogAction type object
  * @property {Parameter}        Types.Template.Parameter            The API Parameter type object
  * @property {Currency}         Types.Template.Currency             The API Currency type object
  * @property {DateTime}         Types.Template.DateTime             The API DateTime type object
+ * @property {Object}           Types.TemplateDefinition            The TemplateDefinition module
+ * @property {TemplateDefinition} Types.TemplateDefinition.TemplateDefinition                 The API TemplateDefinition type object
+ * @property {HeaderComponentDefinition} Types.TemplateDefinition.HeaderComponentDefinition   The API HeaderComponentDefinition type object
+ * @property {BodyComponentDefinition} Types.TemplateDefinition.BodyComponentDefinition       The API BodyComponentDefinition type object
+ * @property {FooterComponentDefinition} Types.TemplateDefinition.FooterComponentDefinition   The API FooterComponentDefinition type object
+ * @property {ButtonComponentDefinition} Types.TemplateDefinition.ButtonComponentDefinition   The API ButtonComponentDefinition type object
+ * @property {ButtonDefinition} Types.TemplateDefinition.ButtonDefinition                     The API ButtonDefinition type object
  * @property {Text}             Types.Text                          The API Text type object
  */
 module.exports = {
     WhatsAppAPI,
-    Handlers: require('./requests'),
+    Handlers,
+    Router: require('./router'),
+    Incoming: require('./incoming'),
+    Flows: require('./flows'),
+    Errors: require('./errors'),
+    PhoneClient,
+    SendQueue: require('./queue'),
+    TemplateRegistry: require('./registry'),
+    preview: require('./preview'),
+    validate: require('./schema').validate,
     Types: {
+        BusinessProfile: require('./types/business-profile'),
         Contacts: require('./types/contacts'),
         Interactive: require('./types/interactive'),
         Location: require('./types/location'),
         Media: require('./types/media'),
+        Reaction: require('./types/reaction'),
         Template: require('./types/template'),
+        TemplateDefinition: require('./types/template-definition'),
         Text: require('./types/text'),
     }
 };
@@ -0,0 +1,287 @@
+/**
+ * The supported mime types and maximum size in bytes for each kind of media
+ *
+ * @package
+ * @ignore
+ * @type {Object<String, { size: Number, types: Array<String> }>}
+ */
+const MEDIA_LIMITS = {
+    audio: {
+        size: 16 * 1024 * 1024,
+        types: ["audio/aac", "audio/mp4", "audio/mpeg", "audio/amr", "audio/ogg"],
+    },
+    document: {
+        size: 100 * 1024 * 1024,
+        types: [
+            "text/plain",
+            "application/pdf",
+            "application/vnd.ms-powerpoint",
+            "application/msword",
+            "application/vnd.ms-excel",
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        ],
+    },
+    image: {
+        size: 5 * 1024 * 1024,
+        types: ["image/jpeg", "image/png"],
+    },
+    // Animated stickers can be up to 500KB, static ones up to 100KB
+    sticker: {
+        size: 500 * 1024,
+        types: ["image/webp"],
+    },
+    video: {
+        size: 16 * 1024 * 1024,
+        types: ["video/mp4", "video/3gpp"],
+    },
+};
+
+/**
+ * Get the kind of media of a mime type
+ *
+ * @package
+ * @ignore
+ * @param {String} mimeType The mime type
+ * @returns {(String|Void)} The kind of media (audio, document, image, sticker or video), undefined if the mime type isn't supported
+ */
+function mediaKind(mimeType) {
+    return Object.keys(MEDIA_LIMITS).find(kind => MEDIA_LIMITS[kind].types.includes(mimeType));
+}
+
+/**
+ * Join many byte arrays into one
+ *
+ * @package
+ * @ignore
+ * @param {Array<Uint8Array>} chunks The byte arrays
+ * @returns {Uint8Array} The joined bytes
+ */
+function concat(chunks) {
+    const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+}
+
+/**
+ * Iterate over the chunks of a web or Node stream
+ *
+ * @package
+ * @ignore
+ * @param {(ReadableStream|AsyncIterable)} stream The stream
+ * @yields {Uint8Array} The stream chunks
+ * @throws {TypeError} If stream isn't a web or Node stream
+ */
+async function* chunks(stream) {
+    if (typeof stream.getReader === "function") {
+        const reader = stream.getReader();
+        try {
+            for (let read = await reader.read(); !read.done; read = await reader.read()) yield read.value;
+        } finally {
+            // If the consumer stopped early, the stream would stay locked with its source open
+            reader.cancel().catch(() => {});
+            reader.releaseLock();
+        }
+    } else if (typeof stream[Symbol.asyncIterator] === "function") {
+        const encoder = new TextEncoder();
+        for await (const chunk of stream) yield typeof chunk === "string" ? encoder.encode(chunk) : new Uint8Array(chunk);
+    } else throw new TypeError("Data must be a Buffer, Blob, stream or file path");
+}
+
+/**
+ * Read a file into memory
+ *
+ * @package
+ * @ignore
+ * @param {(Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable|String)} data The file as a Buffer, Blob, web or Node stream, or a file path (Node only)
+ * @param {String} [kind] The kind of media of the file. If specified, the file is checked against its size limit before it's read whole.
+ * @returns {Promise<Uint8Array>} The file bytes
+ * @throws {TypeError} If data isn't any of the supported types
+ * @throws {Error} If kind is specified and the file is over its size limit
+ */
+async function toBytes(data, kind) {
+    const limit = kind ? MEDIA_LIMITS[kind].size : Infinity;
+    const tooBig = size => new Error(`The file is ${size} bytes, but ${kind} files must be ${limit} bytes or less`);
+
+    if (typeof data === "string") {
+        const fs = require('fs').promises;
+        if (kind) {
+            const { size } = await fs.stat(data);
+            if (size > limit) throw tooBig(size);
+        }
+        return new Uint8Array(await fs.readFile(data));
+    }
+
+    if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+    if (data instanceof Uint8Array) {
+        if (data.length > limit) throw tooBig(data.length);
+        return data;
+    }
+
+    if (typeof data.arrayBuffer === "function") {
+        if (data.size > limit) throw tooBig(data.size);
+        return new Uint8Array(await data.arrayBuffer());
+    }
+
+    const list = [];
+    let size = 0;
+    for await (const chunk of chunks(data)) {
+        size += chunk.length;
+        // The stream size is unknown, so it stops reading as soon as it goes over
+        if (size > limit) throw new Error(`The file is at least ${size} bytes, but ${kind} files must be ${limit} bytes or less`);
+        list.push(chunk);
+    }
+    return concat(list);
+}
+
+/**
+ * A file which is read by ranges, without loading it whole into memory
+ *
+ * @package
+ * @ignore
+ * @typedef {Object} ByteSource
+ * @property {Number} size The file size in bytes
+ * @property {function(Number, Number): Promise<Uint8Array>} read Read up to length bytes from the start offset. Streams can't go back before the last start.
+ * @property {function(): Promise} close Release the file
+ */
+
+/**
+ * Open a file to read it by ranges.
+ * The file paths are read with a file handle and the Blobs are sliced. The streams are read as needed, keeping only the last range in memory.
+ *
+ * @package
+ * @ignore
+ * @param {(Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable|String)} data The file as a Buffer, Blob, web or Node stream, or a file path (Node only)
+ * @param {Number} [size] The file size in bytes. If data is a stream and size is not specified, the stream is read into memory to know it.
+ * @returns {Promise<ByteSource>} The file
+ * @throws {TypeError} If data isn't any of the supported types
+ */
+async function openSource(data, size) {
+    if (typeof data === "string") {
+        const file = await require('fs').promises.open(data, "r");
+        const { size } = await file.stat();
+
+        return {
+            size,
+            read: async (start, length) => {
+                const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - start)));
+                const { bytesRead } = await file.read(buffer, 0, buffer.length, start);
+                return buffer.subarray(0, bytesRead);
+            },
+            close: () => file.close(),
+        };
+    }
+
+    if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+    if (data instanceof Uint8Array) {
+        return { size: data.length, read: async (start, length) => data.subarray(start, start + length), close: async () => {} };
+    }
+
+    if (typeof data.slice === "function" && typeof data.size === "number") {
+        return { size: data.size, read: async (start, length) => new Uint8Array(await data.slice(start, start + length).arrayBuffer()), close: async () => {} };
+    }
+
+    if (typeof data.getReader !== "function" && typeof data[Symbol.asyncIterator] !== "function") throw new TypeError("Data must be a Buffer, Blob, stream or file path");
+    if (size === undefined) return openSource(await toBytes(data));
+
+    const iterator = chunks(data)[Symbol.asyncIterator]();
+    let buffered = new Uint8Array(0);
+    let position = 0;
+
+    return {
+        size,
+        read: async (start, length) => {
+            if (start < position) throw new Error(`The stream can't be read again from byte ${start}`);
+
+            const list = [buffered.subarray(Math.min(start - position, buffered.length))];
+            let skip = Math.max(0, start - position - buffered.length);
+            let available = list[0].length;
+
+            while (available < length) {
+                const { value, done } = await iterator.next();
+                if (done) break;
+
+                // The bytes before start were already uploaded
+                if (skip >= value.length) {
+                    skip -= value.length;
+                    continue;
+                }
+
+                const piece = value.subarray(skip);
+                skip = 0;
+                list.push(piece);
+                available += piece.length;
+            }
+
+            // Keep the range, it might have to be read again if its upload fails
+            buffered = concat(list);
+            position = start;
+            return buffered.subarray(0, length);
+        },
+        close: async () => {
+            if (typeof iterator.return === "function") await iterator.return();
+        },
+    };
+}
+
+/**
+ * Write a stream to a file, hashing it on the way (Node only)
+ *
+ * @package
+ * @ignore
+ * @param {(ReadableStream|AsyncIterable)} stream The web or Node stream
+ * @param {String} path The file path
+ * @returns {Promise<{ sha256: Buffer, size: Number }>} The sha256 digest and the size in bytes of the written file
+ */
+async function writeFile(stream, path) {
+    const hash = require('crypto').createHash("sha256");
+    const file = await require('fs').promises.open(path, "w");
+    let size = 0;
+
+    try {
+        for await (const chunk of chunks(stream)) {
+            hash.update(chunk);
+            size += chunk.length;
+            await file.write(chunk);
+        }
+    } finally {
+        await file.close();
+    }
+
+    return { sha256: hash.digest(), size };
+}
+
+/**
+ * Build a multipart/form-data body
+ *
+ * @package
+ * @ignore
+ * @param {Object<String, String>} fields The text fields
+ * @param {{ name: String, filename: String, type: String, bytes: Uint8Array }} file The file field
+ * @returns {{ body: Uint8Array, boundary: String }} The body and the boundary used to separate the fields
+ */
+function multipart(fields, file) {
+    const boundary = `----WhatsAppAPIBoundary${Math.random().toString(16).slice(2)}${Date.now().toString(16)}`;
+    const encoder = new TextEncoder();
+    // Quotes and line breaks would break the headers
+    const escape = text => String(text).replace(/"/g, "%22").replace(/\r|\n/g, " ");
+
+    const parts = Object.entries(fields).map(([name, value]) => encoder.encode(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${escape(name)}"\r\n\r\n${value}\r\n`
+    ));
+
+    parts.push(encoder.encode(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${escape(file.name)}"; filename="${escape(file.filename)}"\r\nContent-Type: ${file.type}\r\n\r\n`
+    ));
+    parts.push(file.bytes);
+    parts.push(encoder.encode(`\r\n--${boundary}--\r\n`));
+
+    return { body: concat(parts), boundary };
+}
+
+module.exports = { MEDIA_LIMITS, mediaKind, chunks, toBytes, openSource, writeFile, multipart };
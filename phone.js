@@ -0,0 +1,132 @@
+const { Template } = require('./types/template');
+const { Image } = require('./types/media');
+const Text = require('./types/text');
+
+/**
+ * A client bound to one of the bot's phone IDs, so the phone ID doesn't need to be passed on each call
+ *
+ * @property {String} phoneID The bot's phone ID
+ */
+class PhoneClient {
+    /**
+     * Create a PhoneClient. Use WhatsAppAPI.phone(phoneID) instead.
+     *
+     * @param {WhatsAppAPI} api The API object which makes the requests
+     * @param {String} phoneID The bot's phone ID
+     * @throws {Error} If api is not provided
+     * @throws {Error} If phoneID is not provided
+     */
+    constructor(api, phoneID) {
+        if (!api) throw new Error("PhoneClient must have an api object");
+        if (!phoneID) throw new Error("PhoneClient must have a phoneID");
+
+        Object.defineProperty(this, "api", { value: api });
+
+        this.phoneID = phoneID;
+    }
+
+    /**
+     * Send a Whatsapp message
+     *
+     * @param {String} to The user's phone number
+     * @param {(Text|Audio|Document|Image|Sticker|Video|Location|Contacts|Interactive|Template|Reaction)} object A Whatsapp component, built using the corresponding module for each type of message.
+     * @param {String} [context] The message ID of the message to reply to
+     * @returns {Promise} The server response, as in WhatsAppAPI.sendMessage
+     */
+    sendMessage(to, object, context) {
+        return this.api.sendMessage(this.phoneID, to, object, context);
+    }
+
+    /**
+     * Send a text message
+     *
+     * @param {String} to The user's phone number
+     * @param {String} body The text of the message
+     * @param {Boolean} [preview_url] Whether to show a preview of the first url in the text
+     * @param {String} [context] The message ID of the message to reply to
+     * @returns {Promise} The server response, as in WhatsAppAPI.sendMessage
+     */
+    text(to, body, preview_url, context) {
+        return this.sendMessage(to, new Text(body, preview_url), context);
+    }
+
+    /**
+     * Send an image message
+     *
+     * @param {String} to The user's phone number
+     * @param {String} image The image's link, or its id if it doesn't start with http:// or https://
+     * @param {String} [caption] The caption of the image
+     * @param {String} [context] The message ID of the message to reply to
+     * @returns {Promise} The server response, as in WhatsAppAPI.sendMessage
+     */
+    image(to, image, caption, context) {
+        return this.sendMessage(to, new Image(image, !/^https?:\/\//.test(image), caption), context);
+    }
+
+    /**
+     * Send a template message
+     *
+     * @param {String} to The user's phone number
+     * @param {String} name The name of the template
+     * @param {(String|Language)} language The code of the language or locale to use
+     * @param {...(HeaderComponent|BodyComponent|ButtonComponent)} [components] The components of the template
+     * @returns {Promise} The server response, as in WhatsAppAPI.sendMessage
+     */
+    template(to, name, language, ...components) {
+        return this.sendMessage(to, new Template(name, language, ...components));
+    }
+
+    /**
+     * Mark a message as read
+     *
+     * @param {String} messageId The message ID
+     * @returns {Promise} The server response, as in WhatsAppAPI.markAsRead
+     */
+    markAsRead(messageId) {
+        return this.api.markAsRead(this.phoneID, messageId);
+    }
+
+    /**
+     * Generate a QR code for sharing the bot
+     *
+     * @param {String} message The quick message on the QR code
+     * @param {String} [format] The format of the QR code (png or svg)
+     * @returns {Promise} The server response, as in WhatsAppAPI.createQR
+     */
+    createQR(message, format) {
+        return this.api.createQR(this.phoneID, message, format);
+    }
+
+    /**
+     * Get one or many QR codes of the bot
+     *
+     * @param {String} [id] The QR's id to find. If not specified, all QRs will be returned
+     * @returns {Promise} The server response, as in WhatsAppAPI.retrieveQR
+     */
+    retrieveQR(id) {
+        return this.api.retrieveQR(this.phoneID, id);
+    }
+
+    /**
+     * Update a QR code of the bot
+     *
+     * @param {String} id The QR's id to edit
+     * @param {String} message The new quick message for the QR code
+     * @returns {Promise} The server response, as in WhatsAppAPI.updateQR
+     */
+    updateQR(id, message) {
+        return this.api.updateQR(this.phoneID, id, message);
+    }
+
+    /**
+     * Delete a QR code of the bot
+     *
+     * @param {String} id The QR's id to delete
+     * @returns {Promise} The server response, as in WhatsAppAPI.deleteQR
+     */
+    deleteQR(id) {
+        return this.api.deleteQR(this.phoneID, id);
+    }
+}
+
+module.exports = PhoneClient;
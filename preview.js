@@ -0,0 +1,85 @@
+/**
+ * Get the text a user would read for a template parameter
+ *
+ * @package
+ * @ignore
+ * @param {(Parameter|ButtonParameter)} parameter The parameter
+ * @returns {(String|Void)} The parameter text, undefined if it isn't a text, currency or date_time
+ */
+function value(parameter) {
+    if (!parameter) return;
+    if (parameter.type === "text") return parameter.text;
+    // Cloud API doesn't localize these, the user always reads the fallback
+    if (parameter.type === "currency") return parameter.currency.fallback_value;
+    if (parameter.type === "date_time") return parameter.date_time.fallback_value;
+}
+
+/**
+ * Replace the variables of a template text, such as {{1}}, with the parameters values.
+ * Variables without a parameter are left as they are.
+ *
+ * @package
+ * @ignore
+ * @param {String} text The template text
+ * @param {Array<(Parameter|ButtonParameter)>} parameters The parameters, in order
+ * @returns {String} The text with the variables replaced
+ */
+function fill(text, parameters) {
+    return text.replace(/{{\s*(\d+)\s*}}/g, (match, index) => {
+        const replacement = value(parameters[index - 1]);
+        return replacement === undefined ? match : replacement;
+    });
+}
+
+/**
+ * Render a Template as the text the user will read, using WhatsApp's markdown:
+ * the header in bold, the footer in italics and each button on its own line between brackets.
+ * Media headers are shown as a placeholder with the media link or id.
+ *
+ * @param {(TemplateDefinition|Object)} definition The template definition, as returned by the API or built with TemplateDefinition
+ * @param {Template} template The Template message to render
+ * @returns {String} The preview
+ * @throws {Error} If definition is not provided
+ * @throws {Error} If template is not provided
+ */
+function preview(definition, template) {
+    if (!definition) throw new Error("Preview must have a template definition");
+    if (!template) throw new Error("Preview must have a Template");
+
+    const components = template.components || [];
+    const parameters = type => components.filter(e => e.type === type).flatMap(e => e.parameters || []);
+    const defined = type => (definition.components || []).find(e => e.type.toUpperCase() === type);
+    const sections = [];
+
+    const header = defined("HEADER");
+    if (header) {
+        if (header.format === "TEXT") sections.push(`*${fill(header.text, parameters("header"))}*`);
+        else {
+            const media = parameters("header").map(e => e[e.type]).find(e => e);
+            const source = media && (media.link || media.id);
+            sections.push(`[${header.format}${source ? `: ${source}` : ""}]`);
+        }
+    }
+
+    const body = defined("BODY");
+    if (body) sections.push(fill(body.text, parameters("body")));
+
+    const footer = defined("FOOTER");
+    if (footer) sections.push(`_${footer.text}_`);
+
+    const buttons = defined("BUTTONS");
+    if (buttons) {
+        sections.push(buttons.buttons.map((button, index) => {
+            if (button.type === "URL") {
+                const component = components.find(e => e.type === "button" && e.sub_type === "url" && Number(e.index) === index);
+                return `[${button.text}](${fill(button.url, component ? component.parameters : [])})`;
+            }
+            if (button.type === "PHONE_NUMBER") return `[${button.text}](tel:${button.phone_number})`;
+            return `[${button.text}]`;
+        }).join("\n"));
+    }
+
+    return sections.join("\n\n");
+}
+
+module.exports = preview;
@@ -0,0 +1,142 @@
+/**
+ * Callback function after a phone ID queue is emptied
+ *
+ * @callback onDrain
+ * @param {String} phoneID The phone ID whose messages were all sent
+ */
+
+/**
+ * Outbound messages queue.
+ * It limits how many messages per second each phone ID sends, and makes sure the messages to the same user
+ * are sent one after the other, in the same order they were queued.
+ *
+ * @property {Number} rate The maximum messages per second for each phone ID
+ */
+class SendQueue {
+    /**
+     * Create a SendQueue
+     *
+     * @param {Number} [rate=80] The maximum messages per second for each phone ID. Cloud API's default throughput is 80.
+     * @throws {Error} If rate is not a positive number
+     */
+    constructor(rate = 80) {
+        if (typeof rate !== "number" || !(rate > 0)) throw new Error("Rate must be a positive number");
+        this.rate = rate;
+        this._queues = {};
+        this._listeners = { drain: [] };
+    }
+
+    /**
+     * Queue a task for a phone ID
+     *
+     * @param {String} phoneID The bot's phone ID
+     * @param {String} to The user's phone number
+     * @param {Function} task The function which sends the message, it must return a promise
+     * @returns {Promise} The task promise, settled once the message is actually sent
+     */
+    push(phoneID, to, task) {
+        if (!this._queues[phoneID]) this._queues[phoneID] = { tasks: [], busy: new Set(), last: -Infinity, timer: undefined };
+
+        return new Promise((resolve, reject) => {
+            this._queues[phoneID].tasks.push({ to, task, resolve, reject });
+            this._run(phoneID);
+        });
+    }
+
+    /**
+     * Get the number of messages waiting to be sent
+     *
+     * @param {String} [phoneID] The phone ID to check. If not specified, the messages of all the phone IDs are counted.
+     * @returns {Number} The queue depth
+     */
+    depth(phoneID) {
+        if (phoneID) return this._queues[phoneID] ? this._queues[phoneID].tasks.length : 0;
+        return Object.values(this._queues).reduce((total, queue) => total + queue.tasks.length, 0);
+    }
+
+    /**
+     * Listen to a queue event. The only event is "drain", emitted when all the messages of a phone ID were sent.
+     * The errors thrown by the callbacks are ignored.
+     *
+     * @param {String} event The event name
+     * @param {onDrain} callback The function to be called
+     * @returns {SendQueue} The queue, for chaining
+     * @throws {Error} If event is not supported
+     * @throws {TypeError} If callback is not a function
+     */
+    on(event, callback) {
+        if (!this._listeners[event]) throw new Error(`Unsupported event '${event}'`);
+        if (typeof callback !== "function") throw new TypeError("Callback must be a function");
+        this._listeners[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Stop listening to a queue event
+     *
+     * @param {String} event The event name
+     * @param {onDrain} callback The function to remove
+     * @returns {SendQueue} The queue, for chaining
+     */
+    off(event, callback) {
+        if (this._listeners[event]) this._listeners[event] = this._listeners[event].filter(e => e !== callback);
+        return this;
+    }
+
+    /**
+     * Call the listeners of an event, one failing listener doesn't stop the others
+     *
+     * @package
+     * @ignore
+     * @param {String} event The event name
+     * @param {...*} args The parameters for the listeners
+     */
+    _emit(event, ...args) {
+        for (const callback of this._listeners[event]) {
+            try {
+                callback(...args);
+            } catch (e) {
+                // They run inside the queue's promises, where a throw would be an unhandled rejection
+            }
+        }
+    }
+
+    /**
+     * Start as many tasks of a phone ID as the rate allows
+     *
+     * @package
+     * @ignore
+     * @param {String} phoneID The phone ID
+     */
+    _run(phoneID) {
+        const queue = this._queues[phoneID];
+        if (queue.timer) return;
+
+        const interval = 1000 / this.rate;
+
+        // Skip the messages whose recipient is still waiting for a previous one
+        let index;
+        while ((index = queue.tasks.findIndex(e => !queue.busy.has(e.to))) !== -1) {
+            const wait = queue.last + interval - Date.now();
+            if (wait > 0) {
+                queue.timer = setTimeout(() => {
+                    queue.timer = undefined;
+                    this._run(phoneID);
+                }, wait);
+                return;
+            }
+
+            const { to, task, resolve, reject } = queue.tasks.splice(index, 1)[0];
+            queue.busy.add(to);
+            queue.last = Date.now();
+
+            (async () => task())().then(resolve, reject).then(() => {
+                queue.busy.delete(to);
+                if (!queue.tasks.length && !queue.busy.size) this._emit("drain", phoneID);
+                else this._run(phoneID);
+            });
+        }
+    }
+}
+
+module.exports = SendQueue;
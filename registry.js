@@ -0,0 +1,140 @@
+const { placeholders } = require('./types/template-definition');
+const preview = require('./preview');
+
+/**
+ * Local copy of the approved message templates, used to check a Template before sending it
+ *
+ * @property {Array<Object>} templates The template definitions, as returned by the API or built with TemplateDefinition
+ */
+class TemplateRegistry {
+    /**
+     * Create a TemplateRegistry
+     *
+     * @param {(Array<(Object|TemplateDefinition)>|{ data: Array<Object> })} [templates] The template definitions, or the response of retrieveTemplates
+     */
+    constructor(templates = []) {
+        this.templates = [];
+        this.load(templates);
+    }
+
+    /**
+     * Create a TemplateRegistry from a JSON file (Node only)
+     *
+     * @param {String} path The path of the JSON file, with either an array of templates or the response of retrieveTemplates
+     * @returns {TemplateRegistry} The registry
+     * @throws {Error} If the file can't be read or isn't valid JSON
+     */
+    static fromFile(path) {
+        return new TemplateRegistry(JSON.parse(require('fs').readFileSync(path, "utf8")));
+    }
+
+    /**
+     * Add templates to the registry. If a template with the same name and language is already registered, it's replaced.
+     *
+     * @param {(Array<(Object|TemplateDefinition)>|{ data: Array<Object> })} templates The template definitions, or the response of retrieveTemplates
+     * @returns {TemplateRegistry} The registry, for chaining
+     * @throws {Error} If a template doesn't have a name or a language
+     */
+    load(templates) {
+        for (const template of Array.isArray(templates) ? templates : templates.data || []) {
+            if (!template.name || !template.language) throw new Error("Registered templates must have a name and a language");
+            this.templates = this.templates.filter(e => e.name !== template.name || e.language !== template.language);
+            this.templates.push(template);
+        }
+        return this;
+    }
+
+    /**
+     * Get a registered template definition
+     *
+     * @param {String} name The template's name
+     * @param {String} language The template's language code
+     * @returns {(Object|Void)} The template definition, undefined if it isn't registered
+     */
+    get(name, language) {
+        return this.templates.find(e => e.name === name && e.language === language);
+    }
+
+    /**
+     * Check a Template matches its registered definition: the language must be available,
+     * the header and body must have one parameter for each variable, media headers must have a parameter of the same type,
+     * and each button parameter must point to a button of the right type.
+     *
+     * @param {Template} template The Template to check
+     * @returns {TemplateRegistry} The registry, for chaining
+     * @throws {Error} If the template isn't registered in the Template's language
+     * @throws {Error} If the parameters don't match the definition, with all the problems found in the message
+     */
+    validate(template) {
+        const { name } = template;
+        const language = template.language.code;
+
+        const languages = this.templates.filter(e => e.name === name).map(e => e.language);
+        if (!languages.length) throw new Error(`Template '${name}' is not registered`);
+
+        const definition = this.get(name, language);
+        if (!definition) throw new Error(`Template '${name}' is not available in '${language}', only in ${languages.map(e => `'${e}'`).join(", ")}`);
+
+        const problems = [];
+        const components = template.components || [];
+        const defined = type => (definition.components || []).find(e => e.type.toUpperCase() === type);
+
+        // Header
+        const header = defined("HEADER");
+        const headerParameters = components.filter(e => e.type === "header").flatMap(e => e.parameters || []);
+
+        if (!header) {
+            if (headerParameters.length) problems.push(`the header has ${headerParameters.length} parameters but the template has no header`);
+        } else if (header.format === "TEXT") {
+            const expected = placeholders(header.text).length;
+            if (headerParameters.length !== expected) problems.push(`the header has ${headerParameters.length} parameters but ${expected} were expected`);
+            else if (expected && headerParameters[0].type !== "text") problems.push(`the header parameter is of type '${headerParameters[0].type}' but 'text' was expected`);
+        } else {
+            const expected = header.format.toLowerCase();
+            if (headerParameters.length !== 1) problems.push(`the header has ${headerParameters.length} parameters but 1 ${expected} was expected`);
+            else if (headerParameters[0].type !== expected) problems.push(`the header parameter is of type '${headerParameters[0].type}' but '${expected}' was expected`);
+        }
+
+        // Body
+        const body = defined("BODY");
+        const bodyParameters = components.filter(e => e.type === "body").flatMap(e => e.parameters || []);
+        const expected = body ? placeholders(body.text).length : 0;
+        if (bodyParameters.length !== expected) problems.push(`the body has ${bodyParameters.length} parameters but ${expected} were expected`);
+
+        // Buttons
+        const buttons = defined("BUTTONS") ? defined("BUTTONS").buttons : [];
+        const buttonParameters = components.filter(e => e.type === "button");
+
+        for (const component of buttonParameters) {
+            const button = buttons[component.index];
+            if (!button) problems.push(`there is no button at index ${component.index}`);
+            else if (component.sub_type === "url" && (button.type !== "URL" || !placeholders(button.url).length)) problems.push(`the button at index ${component.index} is not an url button with a variable`);
+            else if (component.sub_type !== "url" && button.type !== component.sub_type.toUpperCase()) problems.push(`the button at index ${component.index} is not a ${component.sub_type.replace("_", " ")} button`);
+        }
+
+        buttons.forEach((button, index) => {
+            if (button.type === "URL" && placeholders(button.url).length && !buttonParameters.some(e => e.sub_type === "url" && Number(e.index) === index)) {
+                problems.push(`the url button at index ${index} needs a parameter`);
+            }
+        });
+
+        if (problems.length) throw new Error(`Template '${name}' (${language}) doesn't match its definition: ${problems.join("; ")}`);
+
+        return this;
+    }
+
+    /**
+     * Render a Template as the text the user will read, using its registered definition
+     *
+     * @param {Template} template The Template to render
+     * @returns {String} The preview
+     * @throws {Error} If the template isn't registered in the Template's language
+     */
+    preview(template) {
+        const definition = this.get(template.name, template.language.code);
+        if (!definition) throw new Error(`Template '${template.name}' is not registered in '${template.language.code}'`);
+        return preview(definition, template);
+    }
+}
+
+module.exports = TemplateRegistry;
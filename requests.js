@@ -41,7 +41,7 @@ function get(params, verify_token) {
  * @param {String} phoneID The bot's phoneID
  * @param {String} phone The user's phone number
  * @param {Object} message The messages object
- * @param {String} name The username
+ * @param {String} [name] The username, undefined if the webhook doesn't have the sender's contact (such as the system messages)
  * @param {Object} raw The raw data from the API
  */
 
@@ -61,39 +61,52 @@ function get(params, verify_token) {
 /**
  * POST helper, must be called inside the post function of your code.
  * When setting up the webhook, only subscribe to messages. Other subscritions support might be added later.
+ * If Whatsapp batches many messages or statuses in a single request, the callbacks will be called once for each of them.
+ * The flow replies (interactive messages of type nfm_reply) get their response_json decoded into nfm_reply.response.
  * 
  * @param {Object} data The post data sent by Whatsapp, already parsed to object
  * @param {onMessage} onMessage The function to be called if the post request is a valid message
  * @param {onStatus} [onStatus] The function to be called if the post request is a valid status update
- * @returns {Number} 200, it's the expected http/s response code
+ * @returns {Number} 200 after all the callbacks were called, it's the expected http/s response code
  * @throws {Number} 400 if the POST request isn't valid
  */
 function post(data, onMessage, onStatus) {
     // Validate the webhook
     if (data.object) {
-        const value = data.entry[0].changes[0].value;
-        const phoneID = value.metadata.phone_number_id;
-
-        // Check if the message is a message or a status update
-        if (value.messages) {
-            const contact = value.contacts[0];
-
-            const phone = contact.wa_id;
-            const name = contact.profile.name;
-
-            const message = value.messages[0];
-
-            onMessage(phoneID, phone, message, name, data);
-        } else if (value.statuses && onStatus) {
-            const statuses = value.statuses[0];
-            
-            const phone = statuses.recipient_id;
-            const status = statuses.status;
-            const messageID = statuses.id;
-            const conversation = statuses.conversation;
-            const pricing = statuses.pricing;
-            
-            onStatus(phoneID, phone, status, messageID, conversation, pricing, data);
+        // Whatsapp might batch many updates in a single request
+        for (const entry of data.entry) {
+            for (const change of entry.changes) {
+                const value = change.value;
+                const phoneID = value.metadata.phone_number_id;
+
+                // Check if the message is a message or a status update
+                if (value.messages) {
+                    // System messages don't have contacts
+                    const contacts = value.contacts || [];
+
+                    for (const message of value.messages) {
+                        // The wa_id might not match the from number (like some Brazil and Mexico numbers), a single contact is still the sender
+                        const contact = contacts.find(c => c.wa_id === message.from) || (contacts.length === 1 ? contacts[0] : undefined);
+
+                        const phone = contact ? contact.wa_id : message.from;
+                        const name = contact ? contact.profile.name : undefined;
+
+                        if (message.type === "interactive" && message.interactive.type === "nfm_reply") decodeFlowReply(message.interactive.nfm_reply);
+
+                        onMessage(phoneID, phone, message, name, data);
+                    }
+                } else if (value.statuses && onStatus) {
+                    for (const statuses of value.statuses) {
+                        const phone = statuses.recipient_id;
+                        const status = statuses.status;
+                        const messageID = statuses.id;
+                        const conversation = statuses.conversation;
+                        const pricing = statuses.pricing;
+
+                        onStatus(phoneID, phone, status, messageID, conversation, pricing, data);
+                    }
+                }
+            }
         }
 
         return 200;
@@ -103,4 +116,94 @@ function post(data, onMessage, onStatus) {
     }
 }
 
-module.exports = { get, post };
+/**
+ * Decode the response of a flow reply, which is sent as a JSON string
+ * 
+ * @package
+ * @ignore
+ * @param {{ name: String, body: String, response_json: String }} reply The nfm_reply object of the message, the decoded response is added as its response property
+ */
+function decodeFlowReply(reply) {
+    try {
+        reply.response = JSON.parse(reply.response_json);
+    } catch (e) {
+        // Keep the raw response_json, a malformed reply shouldn't fail the whole batch
+    }
+}
+
+/**
+ * Convert a hex string into bytes
+ * 
+ * @package
+ * @ignore
+ * @param {String} hex The hex string
+ * @returns {Uint8Array} The bytes
+ */
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+}
+
+/**
+ * Verify the signature of a webhook POST request.
+ * Uses the Web Crypto API if available, and falls back to Node's crypto module otherwise.
+ * 
+ * @param {(String|Uint8Array)} raw_body The POST body exactly as it was received, before parsing it
+ * @param {String} signature The X-Hub-Signature-256 header, including the "sha256=" prefix
+ * @param {String} app_secret The app secret, found at the Facebook app dashboard (App settings > Basic)
+ * @returns {Promise<Boolean>} Whether the signature matches the body
+ */
+async function verify(raw_body, signature, app_secret) {
+    if (!raw_body || !signature || !app_secret) return false;
+
+    const hash = signature.startsWith("sha256=") ? signature.slice(7) : signature;
+    if (!/^[0-9a-f]{64}$/i.test(hash)) return false;
+
+    const encoder = new TextEncoder();
+    const body = typeof raw_body === "string" ? encoder.encode(raw_body) : raw_body;
+    const expected = hexToBytes(hash);
+
+    if (typeof crypto !== "undefined" && crypto.subtle) {
+        const key = await crypto.subtle.importKey("raw", encoder.encode(app_secret), { name: "HMAC", hash: "SHA-256" }, false, ["verify"]);
+        // subtle.verify does the comparison in constant time
+        return crypto.subtle.verify("HMAC", key, expected, body);
+    }
+
+    const { createHmac, timingSafeEqual } = require('crypto');
+    const digest = createHmac("sha256", app_secret).update(body).digest();
+    return timingSafeEqual(digest, expected);
+}
+
+/**
+ * POST helper for signed requests, must be called inside the post function of your code.
+ * It verifies the X-Hub-Signature-256 header before parsing the body and running any callback.
+ * 
+ * @param {(String|Uint8Array)} raw_body The POST body exactly as it was received, before parsing it
+ * @param {String} signature The X-Hub-Signature-256 header
+ * @param {String} app_secret The app secret, found at the Facebook app dashboard (App settings > Basic)
+ * @param {onMessage} onMessage The function to be called if the post request is a valid message
+ * @param {onStatus} [onStatus] The function to be called if the post request is a valid status update
+ * @returns {Promise<Number>} 200, it's the expected http/s response code
+ * @throws {Number} 500 if app_secret is not specified
+ * @throws {Number} 401 if the signature is missing or doesn't match the body
+ * @throws {Number} 400 if the POST request isn't valid
+ */
+async function verifiedPost(raw_body, signature, app_secret, onMessage, onStatus) {
+    // app_secret is required
+    if (!app_secret) throw 500;
+
+    // Responds with "401 Unauthorized" if the signature doesn't match
+    if (!await verify(raw_body, signature, app_secret)) throw 401;
+
+    let data;
+    try {
+        data = JSON.parse(typeof raw_body === "string" ? raw_body : new TextDecoder().decode(raw_body));
+    } catch (e) {
+        throw 400;
+    }
+
+    return post(data, onMessage, onStatus);
+}
+
+module.exports = { get, post, verify, verifiedPost };
@@ -0,0 +1,142 @@
+const { WhatsAppAPIError, RateLimitError, ServiceError } = require('./errors');
+
+/**
+ * Callback function before a request is retried
+ *
+ * @callback onRetry
+ * @param {Number} attempt The number of the failed attempt, starting at 1
+ * @param {Number} delay The milliseconds to wait before the next attempt
+ * @param {Response} response The failed fetch response, its body is discarded after the callback returns
+ */
+
+/**
+ * The retry policy for the API requests
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {Number} [attempts=3] The maximum number of attempts, including the first one
+ * @property {Number} [delay=1000] The milliseconds to wait before the first retry, doubled on each new attempt
+ * @property {Number} [maxDelay=30000] The maximum milliseconds to wait between attempts
+ * @property {Boolean} [jitter=true] Whether to randomize the delays, so many clients don't retry at the same time
+ * @property {onRetry} [onRetry] The function to be called before each retry
+ * @property {Boolean} [resendOnServerError=false] Whether to retry sendMessage when it fails with a 5xx status or a temporary service error.
+ * The message might have been sent anyway, so it could reach the user twice. By default, sendMessage is only retried on throttling errors.
+ */
+
+/**
+ * The default retry policy
+ *
+ * @package
+ * @ignore
+ * @type {RetryPolicy}
+ */
+const DEFAULT_POLICY = {
+    attempts: 3,
+    delay: 1000,
+    maxDelay: 30000,
+    jitter: true,
+    resendOnServerError: false,
+};
+
+/**
+ * The rate limits between the bot and a single user (pair) and for spam, which last far longer than any retry delay
+ *
+ * @package
+ * @ignore
+ * @type {Array<Number>}
+ */
+const LASTING_LIMITS = [131048, 131056];
+
+/**
+ * Get the API error of a failed response, without consuming its body
+ *
+ * @package
+ * @ignore
+ * @param {Response} response The fetch response
+ * @returns {Promise<(WhatsAppAPIError|Void)>} The error, undefined if the body isn't an API error
+ */
+async function errorOf(response) {
+    try {
+        const data = await response.clone().json();
+        return data.error ? WhatsAppAPIError.from(data.error) : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Check if a request failed for a transient reason
+ *
+ * @package
+ * @ignore
+ * @param {Response} response The fetch response
+ * @param {Boolean} server_errors Whether the server errors are worth retrying, or only the throttling ones
+ * @returns {Promise<Boolean>} Whether it's worth retrying the request
+ */
+async function isTransient(response, server_errors) {
+    if (response.status < 400) return false;
+
+    const error = await errorOf(response);
+    if (error && LASTING_LIMITS.includes(error.code)) return false;
+
+    if (response.status === 429) return true;
+    if (response.status >= 500) return server_errors;
+
+    // Graph usually reports throttling with a 400 status and the reason in the body
+    return error instanceof RateLimitError || (server_errors && error instanceof ServiceError);
+}
+
+/**
+ * Get the delay requested by the server with the Retry-After header
+ *
+ * @package
+ * @ignore
+ * @param {Response} response The fetch response
+ * @returns {(Number|Void)} The milliseconds to wait, undefined if the header isn't set or is invalid
+ */
+function retryAfter(response) {
+    const header = response.headers && response.headers.get("retry-after");
+    if (!header) return;
+
+    // It can be either a number of seconds or a date
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+}
+
+/**
+ * Run a request, retrying it with exponential backoff while it fails for a transient reason
+ *
+ * @package
+ * @ignore
+ * @param {Function} call The function which makes the request and returns the fetch promise
+ * @param {(RetryPolicy|Void)} policy The retry policy, if falsy the request is made only once
+ * @param {Boolean} [idempotent] Whether the request can be repeated safely. If false, it's only retried on throttling errors, unless the policy sets resendOnServerError.
+ * @returns {Promise<Response>} The last fetch response
+ */
+async function retry(call, policy, idempotent = true) {
+    if (!policy) return call();
+
+    const { attempts, delay, maxDelay, jitter, onRetry, resendOnServerError } = { ...DEFAULT_POLICY, ...policy };
+    const server_errors = idempotent || resendOnServerError;
+
+    for (let attempt = 1; ; attempt++) {
+        const response = await call();
+        if (attempt >= attempts || !await isTransient(response, server_errors)) return response;
+
+        let wait = retryAfter(response);
+        if (wait === undefined) {
+            wait = Math.min(delay * 2 ** (attempt - 1), maxDelay);
+            if (jitter) wait = wait / 2 + Math.random() * wait / 2;
+        }
+
+        if (onRetry) onRetry(attempt, wait, response);
+
+        // An unread body keeps its connection busy
+        await response.arrayBuffer().catch(() => {});
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+}
+
+module.exports = { retry, DEFAULT_POLICY };
@@ -0,0 +1,126 @@
+const { post } = require('./requests');
+
+/**
+ * Callback for the Router errors
+ *
+ * @callback onError
+ * @param {Array<*>} errors The errors thrown or rejected by the handlers
+ * @param {Object} raw The raw data from the API
+ */
+
+/**
+ * Webhook router, built on top of Handlers.post.
+ * Instead of a single onMessage callback, each message and status is dispatched to the handlers registered for its type.
+ *
+ * The supported events are:
+ * - Message types, such as "text", "image", "audio", "document", "sticker", "video", "location", "contacts", "button", "order" and "reaction"
+ * - Interactive replies, such as "interactive.button_reply", "interactive.list_reply" and "interactive.nfm_reply" (flows), or "interactive" for any of them
+ * - Status updates, such as "status.sent", "status.delivered", "status.read" and "status.failed", or "status" for any of them
+ *
+ * Message handlers are called with the same parameters as the onMessage callback,
+ * and status handlers with the same parameters as the onStatus callback.
+ */
+class Router {
+    /**
+     * Create an empty Router
+     */
+    constructor() {
+        this._handlers = {};
+        this._fallback = undefined;
+        this._error = undefined;
+    }
+
+    /**
+     * Register a handler for an event. Many handlers can be registered for the same event.
+     * The most specific event wins: if a message matches "interactive.button_reply", the "interactive" handlers won't be called.
+     *
+     * @param {String} event The event to listen to
+     * @param {(onMessage|onStatus)} handler The function to be called, it can be async
+     * @returns {Router} The router, for chaining
+     * @throws {Error} If event is not specified
+     * @throws {TypeError} If handler is not a function
+     */
+    on(event, handler) {
+        if (!event) throw new Error("Event must be specified");
+        if (typeof handler !== "function") throw new TypeError("Handler must be a function");
+        if (!this._handlers[event]) this._handlers[event] = [];
+        this._handlers[event].push(handler);
+        return this;
+    }
+
+    /**
+     * Set the handler for the messages and statuses without a matching event
+     *
+     * @param {(onMessage|onStatus)} [handler] The function to be called, it can be async. If falsy, the fallback is removed.
+     * @returns {Router} The router, for chaining
+     * @throws {TypeError} If handler is truthy and is not a function
+     */
+    otherwise(handler) {
+        if (handler && typeof handler !== "function") throw new TypeError("Handler must be a function");
+        this._fallback = handler;
+        return this;
+    }
+
+    /**
+     * Set the callback for the errors thrown by the handlers.
+     * If no callback is set, the errors are discarded, as are the errors thrown by the callback itself.
+     *
+     * @param {onError} [callback] The function to be called with the collected errors. If falsy, the callback is removed.
+     * @returns {Router} The router, for chaining
+     * @throws {TypeError} If callback is truthy and is not a function
+     */
+    onError(callback) {
+        if (callback && typeof callback !== "function") throw new TypeError("Callback must be a function");
+        this._error = callback;
+        return this;
+    }
+
+    /**
+     * POST helper, must be called inside the post function of your code.
+     * It waits for all the handlers to finish, and the errors thrown by them are collected and passed to the onError callback,
+     * so a failing handler never crashes the webhook.
+     *
+     * @param {Object} data The post data sent by Whatsapp, already parsed to object
+     * @returns {Promise<Number>} 200, it's the expected http/s response code
+     * @throws {Number} 400 if the POST request isn't valid
+     */
+    async post(data) {
+        const tasks = [];
+
+        const code = post(data, (phoneID, phone, message, name, raw) => {
+            const events = message.type === "interactive" ? [`interactive.${message.interactive.type}`, "interactive"] : [message.type];
+            tasks.push(...this._dispatch(events, [phoneID, phone, message, name, raw]));
+        }, (phoneID, phone, status, messageID, conversation, pricing, raw) => {
+            tasks.push(...this._dispatch([`status.${status}`, "status"], [phoneID, phone, status, messageID, conversation, pricing, raw]));
+        });
+
+        const errors = [].concat(...await Promise.all(tasks.map(task => task.then(() => [], error => [error]))));
+
+        if (errors.length && this._error) {
+            try {
+                await this._error(errors, data);
+            } catch (e) {
+                // The handlers already ran, the webhook shouldn't be sent again because of the callback
+            }
+        }
+
+        return code;
+    }
+
+    /**
+     * Run the handlers of the first event with handlers, or the fallback if none has
+     *
+     * @package
+     * @ignore
+     * @param {Array<String>} events The events to look for, from the most to the least specific
+     * @param {Array} args The parameters for the handlers
+     * @returns {Array<Promise>} The handlers promises
+     */
+    _dispatch(events, args) {
+        const event = events.find(e => this._handlers[e]);
+        const handlers = event ? this._handlers[event] : this._fallback ? [this._fallback] : [];
+        return handlers.map(handler => (async () => handler(...args))());
+    }
+}
+
+module.exports = Router;
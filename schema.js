@@ -0,0 +1,640 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Declarative description of a value of the API payloads
+ *
+ * @typedef {Object} Schema
+ * @property {String} [type] The type of the value: 'string', 'number', 'boolean', 'object' or 'array'
+ * @property {Boolean} [required] Whether the value must be defined
+ * @property {Number} [min] The minimum length of a string or array, or the minimum value of a number
+ * @property {Number} [max] The maximum length of a string or array, or the maximum value of a number
+ * @property {RegExp} [pattern] The pattern a string must match
+ * @property {Array} [enum] The values allowed
+ * @property {Object<String, Schema>} [properties] The schemas of the object properties, unknown properties are ignored
+ * @property {Schema} [items] The schema of each element of the array
+ * @property {String} [by] The property which selects the variant of the object
+ * @property {Object<String, Schema>} [variants] The extra rules of each variant of the object, merged with these ones
+ * @property {Function} [check] A custom rule, which gets the value and returns the violation message, if any
+ */
+
+/**
+ * A problem found in a payload
+ *
+ * @typedef {Object} Violation
+ * @property {String} path The JSON path of the value, such as '$.interactive.action.buttons[0].reply.title'
+ * @property {String} message What's wrong with the value, such as 'must be 20 characters or less'
+ */
+
+/**
+ * Schema of a required, non empty string
+ *
+ * @package
+ * @ignore
+ * @param {Number} [max] The maximum length of the string
+ * @returns {Schema} The schema
+ */
+function text(max) {
+    return { type: "string", required: true, min: 1, max };
+}
+
+const MEDIA = {
+    type: "object",
+    check: media => ("id" in media) === ("link" in media) ? "must have either an id or a link" : undefined,
+    properties: {
+        id: { type: "string", min: 1 },
+        link: { type: "string", min: 1 },
+        caption: { type: "string", max: 1024 },
+        filename: { type: "string" },
+    },
+};
+
+const INTERACTIVE_HEADER = {
+    type: "object",
+    by: "type",
+    variants: {
+        text: { properties: { text: text(60) } },
+        image: { properties: { image: { ...MEDIA, required: true } } },
+        document: { properties: { document: { ...MEDIA, required: true } } },
+        video: { properties: { video: { ...MEDIA, required: true } } },
+    },
+};
+
+const INTERACTIVE_BODY = { type: "object", required: true, properties: { text: text(1024) } };
+
+const INTERACTIVE_FOOTER = { type: "object", properties: { text: text(60) } };
+
+const REPLY_BUTTON = {
+    type: "object",
+    by: "type",
+    variants: {
+        reply: {
+            properties: {
+                reply: {
+                    type: "object",
+                    required: true,
+                    properties: {
+                        id: { ...text(256), check: id => /^ | $/.test(id) ? "can't have leading or trailing spaces" : undefined },
+                        title: text(20),
+                    },
+                },
+            },
+        },
+    },
+};
+
+const ROW = {
+    type: "object",
+    properties: {
+        id: text(200),
+        title: text(24),
+        description: { type: "string", max: 72 },
+    },
+};
+
+/**
+ * Check that all the sections have a title if there are more than 1
+ *
+ * @package
+ * @ignore
+ * @param {Array<{ title: String }>} sections The sections
+ * @returns {(String|Void)} The violation message, if any
+ */
+function titled(sections) {
+    return sections.length > 1 && !sections.every(e => e.title) ? "must all have a title if there are more than 1" : undefined;
+}
+
+const LIST_SECTION = {
+    type: "object",
+    properties: {
+        title: { type: "string", max: 24 },
+        rows: {
+            type: "array",
+            required: true,
+            min: 1,
+            max: 10,
+            items: ROW,
+        },
+    },
+};
+
+const LIST_ACTION = {
+    type: "object",
+    required: true,
+    properties: {
+        button: text(20),
+        sections: {
+            type: "array",
+            required: true,
+            min: 1,
+            max: 10,
+            check: titled,
+            items: LIST_SECTION,
+        },
+    },
+};
+
+const CTA_ACTION = {
+    type: "object",
+    required: true,
+    properties: {
+        name: { type: "string", required: true, enum: ["cta_url"] },
+        parameters: {
+            type: "object",
+            required: true,
+            properties: {
+                display_text: text(20),
+                url: { ...text(), pattern: /^https?:\/\// },
+            },
+        },
+    },
+};
+
+const FLOW_ACTION = {
+    type: "object",
+    required: true,
+    properties: {
+        name: { type: "string", required: true, enum: ["flow"] },
+        parameters: {
+            type: "object",
+            required: true,
+            check: parameters => {
+                if (("flow_id" in parameters) === ("flow_name" in parameters)) return "must have either a flow_id or a flow_name";
+
+                // The API defaults to navigate, which needs the first screen
+                const navigate = (parameters.flow_action || "navigate") === "navigate";
+                if (navigate && !parameters.flow_action_payload) return "must have a flow_action_payload if flow_action is 'navigate'";
+                if (!navigate && parameters.flow_action_payload) return "can't have a flow_action_payload if flow_action is 'data_exchange'";
+            },
+            properties: {
+                flow_message_version: { type: "string", required: true, enum: ["3"] },
+                flow_id: { type: "string", min: 1 },
+                flow_name: { type: "string", min: 1 },
+                flow_cta: text(30),
+                flow_token: { type: "string", min: 1 },
+                flow_action: { type: "string", enum: ["navigate", "data_exchange"] },
+                flow_action_payload: {
+                    type: "object",
+                    properties: {
+                        screen: text(),
+                        data: { type: "object", check: data => Object.keys(data).length ? undefined : "must have at least one property" },
+                    },
+                },
+                mode: { type: "string", enum: ["draft", "published"] },
+            },
+        },
+    },
+};
+
+const CATALOG_ID = text();
+
+const PRODUCT_SECTION = {
+    type: "object",
+    properties: {
+        title: { type: "string", max: 24 },
+        product_items: {
+            type: "array",
+            required: true,
+            min: 1,
+            max: 30,
+            items: { type: "object", properties: { product_retailer_id: text() } },
+        },
+    },
+};
+
+const PRODUCT_SECTIONS = {
+    type: "array",
+    min: 1,
+    max: 10,
+    check: titled,
+    items: PRODUCT_SECTION,
+};
+
+const PRODUCT_ACTION = {
+    type: "object",
+    required: true,
+    properties: {
+        catalog_id: CATALOG_ID,
+        product_retailer_id: text(),
+    },
+};
+
+const PRODUCT_LIST_ACTION = {
+    type: "object",
+    required: true,
+    properties: {
+        catalog_id: CATALOG_ID,
+        sections: { ...PRODUCT_SECTIONS, required: true },
+    },
+};
+
+/**
+ * Schema of a Template parameter
+ *
+ * @package
+ * @ignore
+ * @param {Number} max The maximum length of the text parameters
+ * @returns {Schema} The schema
+ */
+function parameter(max) {
+    return {
+        type: "object",
+        by: "type",
+        variants: {
+            text: { properties: { text: text(max) } },
+            currency: {
+                properties: {
+                    currency: {
+                        type: "object",
+                        required: true,
+                        properties: {
+                            amount_1000: { type: "number", required: true },
+                            code: { ...text(), pattern: /^[A-Z]{3}$/ },
+                            fallback_value: text(),
+                        },
+                    },
+                },
+            },
+            date_time: { properties: { date_time: { type: "object", required: true, properties: { fallback_value: text() } } } },
+            image: { properties: { image: { ...MEDIA, required: true } } },
+            document: { properties: { document: { ...MEDIA, required: true } } },
+            video: { properties: { video: { ...MEDIA, required: true } } },
+        },
+    };
+}
+
+const BUTTON_PARAMETER = {
+    type: "object",
+    by: "type",
+    variants: {
+        text: { properties: { text: text() } },
+        payload: { properties: { payload: text() } },
+        coupon_code: { properties: { coupon_code: text(15) } },
+        action: {
+            properties: {
+                action: {
+                    type: "object",
+                    required: true,
+                    properties: {
+                        thumbnail_product_retailer_id: text(),
+                        sections: PRODUCT_SECTIONS,
+                    },
+                },
+            },
+        },
+    },
+};
+
+const TEMPLATE_COMPONENT = {
+    type: "object",
+    by: "type",
+    variants: {
+        header: { properties: { parameters: { type: "array", items: parameter(60) } } },
+        body: { properties: { parameters: { type: "array", items: parameter(1024) } } },
+        button: {
+            properties: {
+                sub_type: { type: "string", required: true, enum: ["url", "quick_reply", "copy_code", "catalog", "mpm"] },
+                index: { type: "string", required: true, pattern: /^\d+$/ },
+                parameters: {
+                    type: "array",
+                    required: true,
+                    min: 1,
+                    max: 1,
+                    items: BUTTON_PARAMETER,
+                },
+            },
+        },
+    },
+};
+
+/**
+ * The schemas of the API objects of each type of message
+ *
+ * @package
+ * @ignore
+ * @type {Object<String, Schema>}
+ */
+const SCHEMAS = {
+    text: {
+        type: "object",
+        properties: {
+            body: text(4096),
+            preview_url: { type: "boolean" },
+        },
+    },
+    audio: MEDIA,
+    document: MEDIA,
+    image: MEDIA,
+    sticker: MEDIA,
+    video: MEDIA,
+    location: {
+        type: "object",
+        properties: {
+            longitude: { type: "number", required: true, min: -180, max: 180 },
+            latitude: { type: "number", required: true, min: -90, max: 90 },
+            name: { type: "string" },
+            address: { type: "string" },
+        },
+    },
+    contacts: {
+        type: "array",
+        min: 1,
+        items: {
+            type: "object",
+            properties: {
+                name: { type: "object", required: true, properties: { formatted_name: text() } },
+                birthday: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+                org: { type: "object" },
+                addresses: { type: "array", items: { type: "object" } },
+                emails: { type: "array", items: { type: "object" } },
+                phones: { type: "array", items: { type: "object" } },
+                urls: { type: "array", items: { type: "object", properties: { url: text() } } },
+            },
+        },
+    },
+    interactive: {
+        type: "object",
+        by: "type",
+        properties: {
+            header: INTERACTIVE_HEADER,
+            body: { ...INTERACTIVE_BODY, required: false },
+            footer: INTERACTIVE_FOOTER,
+        },
+        variants: {
+            button: {
+                properties: {
+                    body: INTERACTIVE_BODY,
+                    action: {
+                        type: "object",
+                        required: true,
+                        properties: {
+                            buttons: {
+                                type: "array",
+                                required: true,
+                                min: 1,
+                                max: 3,
+                                items: REPLY_BUTTON,
+                            },
+                        },
+                    },
+                },
+            },
+            list: {
+                properties: {
+                    body: INTERACTIVE_BODY,
+                    action: LIST_ACTION,
+                },
+            },
+            cta_url: {
+                properties: {
+                    body: INTERACTIVE_BODY,
+                    action: CTA_ACTION,
+                },
+            },
+            location_request_message: {
+                properties: {
+                    header: { check: () => "must not be set if the action is a location request" },
+                    body: INTERACTIVE_BODY,
+                    footer: { check: () => "must not be set if the action is a location request" },
+                    action: {
+                        type: "object",
+                        required: true,
+                        properties: {
+                            name: { type: "string", required: true, enum: ["send_location"] },
+                        },
+                    },
+                },
+            },
+            flow: {
+                properties: {
+                    body: INTERACTIVE_BODY,
+                    action: FLOW_ACTION,
+                },
+            },
+            product: {
+                properties: {
+                    header: { check: () => "must not be set if the action is a single product" },
+                    action: PRODUCT_ACTION,
+                },
+            },
+            product_list: {
+                properties: {
+                    header: { ...INTERACTIVE_HEADER, required: true, check: header => header.type !== "text" ? "must be a text header if the action is a product list" : undefined },
+                    body: INTERACTIVE_BODY,
+                    action: PRODUCT_LIST_ACTION,
+                },
+            },
+        },
+    },
+    template: {
+        type: "object",
+        properties: {
+            name: text(512),
+            language: {
+                type: "object",
+                required: true,
+                properties: {
+                    code: text(),
+                    policy: { type: "string", required: true, enum: ["deterministic"] },
+                },
+            },
+            components: {
+                type: "array",
+                items: {
+                    ...TEMPLATE_COMPONENT,
+                    variants: {
+                        ...TEMPLATE_COMPONENT.variants,
+                        carousel: {
+                            properties: {
+                                cards: {
+                                    type: "array",
+                                    required: true,
+                                    min: 1,
+                                    max: 10,
+                                    items: {
+                                        type: "object",
+                                        properties: {
+                                            card_index: { type: "number", required: true, min: 0 },
+                                            components: { type: "array", required: true, min: 1, items: TEMPLATE_COMPONENT },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                        limited_time_offer: {
+                            properties: {
+                                parameters: {
+                                    type: "array",
+                                    required: true,
+                                    min: 1,
+                                    max: 1,
+                                    items: {
+                                        type: "object",
+                                        properties: {
+                                            type: { type: "string", required: true, enum: ["limited_time_offer"] },
+                                            limited_time_offer: {
+                                                type: "object",
+                                                required: true,
+                                                properties: { expiration_time_ms: { type: "number", required: true, min: 1 } },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    reaction: {
+        type: "object",
+        properties: {
+            message_id: text(),
+            emoji: { type: "string", required: true },
+        },
+    },
+};
+
+/**
+ * The schemas of the components which are checked on their own, before being added to a message
+ *
+ * @package
+ * @ignore
+ * @type {Object<String, Schema>}
+ */
+const COMPONENTS = {
+    interactive_header: INTERACTIVE_HEADER,
+    interactive_body: INTERACTIVE_BODY,
+    interactive_footer: INTERACTIVE_FOOTER,
+    reply_button: REPLY_BUTTON,
+    row: ROW,
+    list_section: LIST_SECTION,
+    list_action: LIST_ACTION,
+    product_section: PRODUCT_SECTION,
+    product_action: PRODUCT_ACTION,
+    product_list_action: PRODUCT_LIST_ACTION,
+    cta_action: CTA_ACTION,
+    flow_action: FLOW_ACTION,
+    template_component: TEMPLATE_COMPONENT,
+    button_parameter: BUTTON_PARAMETER,
+};
+
+/**
+ * The schema of the Request objects
+ *
+ * @package
+ * @ignore
+ * @type {Schema}
+ */
+const REQUEST = {
+    type: "object",
+    by: "type",
+    properties: {
+        messaging_product: { type: "string", required: true, enum: ["whatsapp"] },
+        to: text(),
+        context: { type: "object", properties: { message_id: text() } },
+    },
+    variants: Object.keys(SCHEMAS).reduce((variants, type) => {
+        variants[type] = { properties: { [type]: { ...SCHEMAS[type], required: true } } };
+        return variants;
+    }, {}),
+};
+
+/**
+ * Format a list of values as 'a', 'b', 'c'
+ *
+ * @package
+ * @ignore
+ * @param {Array} values The values
+ * @returns {String} The list
+ */
+function list(values) {
+    return values.map(e => `'${e}'`).join(", ");
+}
+
+/**
+ * Find all the values which don't match a schema
+ *
+ * @package
+ * @ignore
+ * @param {Schema} schema The schema to check against
+ * @param {*} value The value to check. If it has a toJSON method, its result is checked instead.
+ * @param {String} [path] The JSON path of the value
+ * @returns {Array<Violation>} The violations found, empty if the value is valid
+ */
+function violations(schema, value, path = "$") {
+    if (value && typeof value.toJSON === "function") value = value.toJSON();
+    if (value === undefined || value === null) return schema.required ? [{ path, message: "is required" }] : [];
+
+    const type = Array.isArray(value) ? "array" : typeof value;
+    // NaN is sent as null
+    if (schema.type === "number" && Number.isNaN(value)) return [{ path, message: "must be a number" }];
+    if (schema.type && schema.type !== type) return [{ path, message: `must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}` }];
+
+    if (schema.variants) {
+        const variant = schema.variants[value[schema.by]];
+        if (!variant) return [{ path: `${path}.${schema.by}`, message: `must be one of ${list(Object.keys(schema.variants))}` }];
+
+        // The variant rules replace the shared ones with the same name
+        schema = { ...schema, ...variant, properties: { ...schema.properties, ...variant.properties } };
+    }
+
+    const found = [];
+
+    const size = type === "number" ? value : value.length;
+    if (schema.min !== undefined && size < schema.min) {
+        if (type === "string") found.push({ path, message: schema.min === 1 ? "can't be empty" : `must be at least ${schema.min} characters` });
+        else if (type === "array") found.push({ path, message: `must have at least ${schema.min} items` });
+        else found.push({ path, message: `must be ${schema.min} or more` });
+    }
+    if (schema.max !== undefined && size > schema.max) {
+        if (type === "string") found.push({ path, message: `must be ${schema.max} characters or less` });
+        else if (type === "array") found.push({ path, message: `must have ${schema.max} items or less` });
+        else found.push({ path, message: `must be ${schema.max} or less` });
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) found.push({ path, message: `must match ${schema.pattern}` });
+    if (schema.enum && !schema.enum.includes(value)) found.push({ path, message: `must be one of ${list(schema.enum)}` });
+
+    if (schema.check) {
+        const message = schema.check(value);
+        if (message) found.push({ path, message });
+    }
+
+    if (schema.properties) {
+        for (const key in schema.properties) found.push(...violations(schema.properties[key], value[key], `${path}.${key}`));
+    }
+
+    if (schema.items && type === "array") {
+        value.forEach((e, i) => found.push(...violations(schema.items, e, `${path}[${i}]`)));
+    }
+
+    return found;
+}
+
+/**
+ * Check a Request against the API schemas, without sending it
+ *
+ * @param {(Request|Object)} request The request to validate, as built by Request
+ * @returns {Array<Violation>} All the problems found, with the JSON path of each value. Empty if the request is valid.
+ */
+function validate(request) {
+    return violations(REQUEST, request);
+}
+
+/**
+ * Check a message or component object against the schema of its type
+ *
+ * @package
+ * @ignore
+ * @param {String} type The type of the message, such as 'text' or 'interactive', or of the component, such as 'row'
+ * @param {Object} object The message or component object
+ * @param {String} name The name of the object, used in the error message
+ * @throws {ValidationError} If the object doesn't match the schema, with all the violations found
+ */
+function check(type, object, name) {
+    const found = violations(SCHEMAS[type] || COMPONENTS[type], object);
+    if (found.length) throw new ValidationError(name, found);
+}
+
+module.exports = { validate, check, violations, SCHEMAS };
@@ -0,0 +1,62 @@
+// Unit tests with mocha
+const assert = require('assert');
+
+const {
+    WhatsAppAPIError,
+    AuthenticationError,
+    RateLimitError,
+    ServiceError,
+    InvalidParameterError,
+    ReEngagementError,
+    MediaError,
+    TemplateError,
+} = require('../errors');
+
+describe("Errors", function() {
+    function from(code) {
+        return WhatsAppAPIError.from({ message: "message", code });
+    }
+
+    it("should classify authentication errors", function() {
+        for (const code of [0, 3, 10, 190, 200, 299]) assert.ok(from(code) instanceof AuthenticationError, code);
+    });
+
+    it("should classify rate limit errors", function() {
+        for (const code of [4, 80007, 130429, 131048, 131056, 133016]) assert.ok(from(code) instanceof RateLimitError, code);
+    });
+
+    it("should classify service errors", function() {
+        for (const code of [1, 2, 131000, 131016]) assert.ok(from(code) instanceof ServiceError, code);
+    });
+
+    it("should classify invalid parameter errors", function() {
+        for (const code of [100, 131008, 131009]) assert.ok(from(code) instanceof InvalidParameterError, code);
+    });
+
+    it("should classify re-engagement errors", function() {
+        assert.ok(from(131047) instanceof ReEngagementError);
+    });
+
+    it("should classify media errors", function() {
+        for (const code of [131051, 131052, 131053]) assert.ok(from(code) instanceof MediaError, code);
+    });
+
+    it("should classify template errors", function() {
+        for (const code of [132000, 132001, 132015]) assert.ok(from(code) instanceof TemplateError, code);
+    });
+
+    it("should fall back to WhatsAppAPIError for unknown codes", function() {
+        const error = from(12345);
+        assert.equal(error.constructor, WhatsAppAPIError);
+        assert.ok(error instanceof Error);
+    });
+
+    it("should name the errors after their class", function() {
+        assert.equal(from(131047).name, "ReEngagementError");
+        assert.equal(from(12345).name, "WhatsAppAPIError");
+    });
+
+    it("should have a message even if the API didn't send one", function() {
+        assert.ok(WhatsAppAPIError.from({ code: 1 }).message);
+    });
+});
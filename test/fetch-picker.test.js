@@ -29,14 +29,20 @@ describe("Fetch Picker", function() {
     it("should make a http GET request to the specified URL", async function() {
         // Will check if nock received ONE request to the specified URL
         const scope = nock('http://example.com').get('/').reply(200);
-        await picker.pick()('http://example.com/');
+        // nock only intercepts Node's http module, so the request goes through cross-fetch even if there's a global fetch
+        await picker.__with__({ fetch: undefined })(async function() {
+            await picker.pick()('http://example.com/');
+        });
         assert.ok(scope.isDone());
     });
 
     it("should make a http POST request to the specified URL", async function() {
         // Will check if nock received ONE request to the specified URL
         const scope = nock('http://example.com').post('/').reply(200);
-        await picker.pick()('http://example.com/', { method: "POST" });
+        // nock only intercepts Node's http module, so the request goes through cross-fetch even if there's a global fetch
+        await picker.__with__({ fetch: undefined })(async function() {
+            await picker.pick()('http://example.com/', { method: "POST" });
+        });
         assert.ok(scope.isDone());
     });
 });
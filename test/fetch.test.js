@@ -0,0 +1,259 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+
+const nock = require('nock');
+nock.disableNetConnect();
+const graph = nock("https://graph.facebook.com");
+
+const api = require('../fetch');
+const { Request } = api;
+
+const { Contacts, Name, Phone } = require('../types/contacts');
+const { Interactive, ActionButtons, ActionCTA, ActionLocation, ActionFlow, Button, Body, Footer, Header } = require('../types/interactive');
+const { Audio, Document, Image, Sticker, Video } = require('../types/media');
+const Location = require('../types/location');
+const { Template, HeaderComponent, BodyComponent, ButtonComponent, CarouselComponent, CarouselCard, LTOComponent, CatalogAction, Currency, DateTime } = require('../types/template');
+const { ProductSection, Product } = require('../types/interactive');
+const Text = require('../types/text');
+const Reaction = require('../types/reaction');
+
+describe("Request", function() {
+    const client = {
+        token: "YOUR_ACCESS_TOKEN",
+        v: "v15.0",
+        // nock only intercepts Node's http module
+        fetch: require('cross-fetch'),
+        baseURL: "https://graph.facebook.com",
+    };
+
+    const bot = "1";
+    const user = "2";
+
+    // Send the message through fetch.sendMessage and get the body the server received
+    async function send(object, context) {
+        let received;
+        graph.post(`/${client.v}/${bot}/messages`, body => { received = body; return true; }).once().reply(200, {});
+        await api.sendMessage(client, bot, new Request(object, user, context));
+        return received;
+    }
+
+    function payload(type, object) {
+        return { messaging_product: "whatsapp", type, to: user, [type]: object };
+    }
+
+    it("should send a text as a nested object", async function() {
+        assert.deepEqual(await send(new Text("Hello https://example.com", true)), payload("text", {
+            body: "Hello https://example.com",
+            preview_url: true,
+        }));
+    });
+
+    it("should send the media by link or id", async function() {
+        assert.deepEqual(await send(new Image("https://example.com/cat.png", false, "A cat")), payload("image", {
+            link: "https://example.com/cat.png",
+            caption: "A cat",
+        }));
+
+        assert.deepEqual(await send(new Document("4490709327384033", true, "Invoice", "invoice.pdf")), payload("document", {
+            id: "4490709327384033",
+            caption: "Invoice",
+            filename: "invoice.pdf",
+        }));
+
+        assert.deepEqual(await send(new Audio("1", true)), payload("audio", { id: "1" }));
+        assert.deepEqual(await send(new Sticker("2", true)), payload("sticker", { id: "2" }));
+        assert.deepEqual(await send(new Video("https://example.com/cat.mp4")), payload("video", { link: "https://example.com/cat.mp4" }));
+    });
+
+    it("should send a location", async function() {
+        assert.deepEqual(await send(new Location(-58.3815, -34.6037, "Obelisco", "Av. 9 de Julio")), payload("location", {
+            longitude: -58.3815,
+            latitude: -34.6037,
+            name: "Obelisco",
+            address: "Av. 9 de Julio",
+        }));
+    });
+
+    it("should send the contacts as an array", async function() {
+        const contacts = new Contacts(
+            [new Name("Jane Doe", "Jane"), new Phone("+1 631-555-5555", "CELL")],
+            [new Name("John Doe", undefined, "Doe")],
+        );
+
+        assert.deepEqual(await send(contacts), payload("contacts", [
+            { name: { formatted_name: "Jane Doe", first_name: "Jane" }, phones: [{ phone: "+1 631-555-5555", type: "CELL" }] },
+            { name: { formatted_name: "John Doe", last_name: "Doe" } },
+        ]));
+    });
+
+    it("should send an interactive message", async function() {
+        const interactive = new Interactive(new ActionButtons(new Button("yes", "Yes"), new Button("no", "No")), new Body("Are you sure?"), undefined, new Footer("Pick one"));
+
+        assert.deepEqual(await send(interactive), payload("interactive", {
+            type: "button",
+            action: {
+                buttons: [
+                    { type: "reply", reply: { id: "yes", title: "Yes" } },
+                    { type: "reply", reply: { id: "no", title: "No" } },
+                ],
+            },
+            body: { text: "Are you sure?" },
+            footer: { text: "Pick one" },
+        }));
+    });
+
+    it("should send a call to action url button", async function() {
+        const interactive = new Interactive(new ActionCTA("Track order", "https://example.com/track/1234"), new Body("Your order is on its way"), new Header(new Text("Order #1234")), new Footer("Thanks!"));
+
+        assert.deepEqual(await send(interactive), payload("interactive", {
+            type: "cta_url",
+            action: {
+                name: "cta_url",
+                parameters: { display_text: "Track order", url: "https://example.com/track/1234" },
+            },
+            body: { text: "Your order is on its way" },
+            header: { type: "text", text: "Order #1234" },
+            footer: { text: "Thanks!" },
+        }));
+    });
+
+    it("should send a location request", async function() {
+        assert.deepEqual(await send(new Interactive(new ActionLocation(), new Body("Where should we deliver?"))), payload("interactive", {
+            type: "location_request_message",
+            action: { name: "send_location" },
+            body: { text: "Where should we deliver?" },
+        }));
+    });
+
+    it("should send a flow", async function() {
+        const interactive = new Interactive(new ActionFlow({ flow_id: "1234567890" }, "Book!", "token", "navigate", "APPOINTMENT", { product: "haircut" }), new Body("Book your appointment"));
+
+        assert.deepEqual(await send(interactive), payload("interactive", {
+            type: "flow",
+            action: {
+                name: "flow",
+                parameters: {
+                    flow_message_version: "3",
+                    flow_id: "1234567890",
+                    flow_cta: "Book!",
+                    flow_action: "navigate",
+                    flow_token: "token",
+                    flow_action_payload: { screen: "APPOINTMENT", data: { product: "haircut" } },
+                },
+            },
+            body: { text: "Book your appointment" },
+        }));
+
+        assert.deepEqual((await send(new Interactive(new ActionFlow({ flow_name: "appointments" }, "Book!", undefined, "data_exchange", undefined, undefined, "draft"), new Body("Book")))).interactive.action, {
+            name: "flow",
+            parameters: { flow_message_version: "3", flow_name: "appointments", flow_cta: "Book!", flow_action: "data_exchange", mode: "draft" },
+        });
+    });
+
+    it("should send a template with its parameters", async function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane"), new Currency(10990, "USD", "$10.99"), new DateTime("Monday")),
+            new ButtonComponent("quick_reply", "stop"),
+        );
+
+        assert.deepEqual(await send(template), payload("template", {
+            name: "order_update",
+            language: { policy: "deterministic", code: "en_US" },
+            components: [
+                { type: "header", parameters: [{ type: "image", image: { link: "https://example.com/order.png" } }] },
+                { type: "body", parameters: [
+                    { type: "text", text: "Jane" },
+                    { type: "currency", currency: { amount_1000: 10990, code: "USD", fallback_value: "$10.99" } },
+                    { type: "date_time", date_time: { fallback_value: "Monday" } },
+                ] },
+                { type: "button", sub_type: "quick_reply", index: "0", parameters: [{ type: "payload", payload: "stop" }] },
+            ],
+        }));
+    });
+
+    it("should send a template with a limited time offer and a coupon code", async function() {
+        const template = new Template("summer_sale", "en_US",
+            new LTOComponent(1700000000000),
+            ...ButtonComponent.sequence(
+                new ButtonComponent("copy_code", "SAVE10"),
+                new ButtonComponent("url", "summer"),
+            ),
+        );
+
+        assert.deepEqual((await send(template)).template.components, [
+            { type: "limited_time_offer", parameters: [{ type: "limited_time_offer", limited_time_offer: { expiration_time_ms: 1700000000000 } }] },
+            { type: "button", sub_type: "copy_code", index: "0", parameters: [{ type: "coupon_code", coupon_code: "SAVE10" }] },
+            { type: "button", sub_type: "url", index: "1", parameters: [{ type: "text", text: "summer" }] },
+        ]);
+
+        const unsequenced = new Template("summer_sale", "en_US", new ButtonComponent("copy_code", "SAVE10"), new ButtonComponent("url", "summer"));
+
+        assert.deepEqual((await send(unsequenced)).template.components.map(c => c.index), ["0", "0"]);
+    });
+
+    it("should send a template with catalog and multi-product buttons", async function() {
+        assert.deepEqual((await send(new Template("catalog", "en_US", new ButtonComponent("catalog", "sku-1")))).template.components, [
+            { type: "button", sub_type: "catalog", index: "0", parameters: [{ type: "action", action: { thumbnail_product_retailer_id: "sku-1" } }] },
+        ]);
+
+        const mpm = new ButtonComponent("mpm", new CatalogAction("sku-1", new ProductSection("Shoes", new Product("sku-1"), new Product("sku-2"))));
+
+        assert.deepEqual((await send(new Template("products", "en_US", mpm))).template.components, [
+            { type: "button", sub_type: "mpm", index: "0", parameters: [{ type: "action", action: {
+                thumbnail_product_retailer_id: "sku-1",
+                sections: [{ title: "Shoes", product_items: [{ product_retailer_id: "sku-1" }, { product_retailer_id: "sku-2" }] }],
+            } }] },
+        ]);
+    });
+
+    it("should send a template with carousel cards", async function() {
+        const template = new Template("carousel", "en_US",
+            new BodyComponent(new Text("Jane")),
+            new CarouselComponent(
+                new CarouselCard(new Image("1", true), new BodyComponent(new Text("Shoes")), ...ButtonComponent.sequence(new ButtonComponent("quick_reply", "shoes"), new ButtonComponent("url", "shoes"))),
+                new CarouselCard(new Video("2", true), new ButtonComponent("quick_reply", "hats")),
+            ),
+        );
+
+        assert.deepEqual((await send(template)).template.components, [
+            { type: "body", parameters: [{ type: "text", text: "Jane" }] },
+            { type: "carousel", cards: [
+                { card_index: 0, components: [
+                    { type: "header", parameters: [{ type: "image", image: { id: "1" } }] },
+                    { type: "body", parameters: [{ type: "text", text: "Shoes" }] },
+                    { type: "button", sub_type: "quick_reply", index: "0", parameters: [{ type: "payload", payload: "shoes" }] },
+                    { type: "button", sub_type: "url", index: "1", parameters: [{ type: "text", text: "shoes" }] },
+                ] },
+                { card_index: 1, components: [
+                    { type: "header", parameters: [{ type: "video", video: { id: "2" } }] },
+                    { type: "button", sub_type: "quick_reply", index: "0", parameters: [{ type: "payload", payload: "hats" }] },
+                ] },
+            ] },
+        ]);
+    });
+
+    it("should send a reaction, keeping the empty emoji", async function() {
+        assert.deepEqual(await send(new Reaction("wamid.ID")), payload("reaction", { message_id: "wamid.ID", emoji: "" }));
+    });
+
+    it("should send the context of a reply", async function() {
+        assert.deepEqual(await send(new Text("Hi"), "wamid.ID"), {
+            messaging_product: "whatsapp",
+            type: "text",
+            to: user,
+            context: { message_id: "wamid.ID" },
+            text: { body: "Hi" },
+        });
+    });
+
+    it("should drop the internal type of plain objects", async function() {
+        assert.deepEqual(await send({ _: "text", body: "Hi" }), payload("text", { body: "Hi" }));
+    });
+
+    it("should serialize the types the same with JSON.stringify", function() {
+        const text = new Text("Hello");
+        assert.equal(JSON.stringify(text), JSON.stringify({ body: "Hello" }));
+        assert.equal(JSON.stringify(new Request(text, user)), JSON.stringify(payload("text", { body: "Hello" })));
+    });
+});
@@ -0,0 +1,97 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+const sinon = require('sinon');
+
+const { generateKeyPairSync, publicEncrypt, createCipheriv, createDecipheriv, randomBytes, constants } = require('crypto');
+
+const { decryptRequest, encryptResponse, dataExchange } = require('../flows');
+
+describe("Flows", function() {
+    const passphrase = "passphrase";
+    const { publicKey, privateKey } = generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem", cipher: "aes-256-cbc", passphrase },
+    });
+
+    const aes_key = randomBytes(16);
+    const iv = randomBytes(16);
+
+    // Encrypt the request as Whatsapp does
+    function request(data) {
+        const cipher = createCipheriv("aes-128-gcm", aes_key, iv);
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final(), cipher.getAuthTag()]);
+
+        return {
+            encrypted_flow_data: encrypted.toString("base64"),
+            encrypted_aes_key: publicEncrypt({ key: publicKey, padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" }, aes_key).toString("base64"),
+            initial_vector: iv.toString("base64"),
+        };
+    }
+
+    // Decrypt the response as Whatsapp does
+    function response(body) {
+        const encrypted = Buffer.from(body, "base64");
+        const decipher = createDecipheriv("aes-128-gcm", aes_key, Buffer.from(iv.map(e => ~e & 0xFF)));
+        decipher.setAuthTag(encrypted.subarray(-16));
+        return JSON.parse(Buffer.concat([decipher.update(encrypted.subarray(0, -16)), decipher.final()]).toString("utf8"));
+    }
+
+    const data = { version: "3.0", action: "data_exchange", screen: "APPOINTMENT", data: { date: "2024-01-01" }, flow_token: "token" };
+
+    describe("Encryption", function() {
+        it("should decrypt the request and return its key and vector", function() {
+            const decrypted = decryptRequest(request(data), privateKey, passphrase);
+
+            assert.deepEqual(decrypted.data, data);
+            assert.ok(decrypted.aes_key.equals(aes_key));
+            assert.ok(decrypted.iv.equals(iv));
+        });
+
+        it("should fail to decrypt with the wrong passphrase", function() {
+            assert.throws(function() {
+                decryptRequest(request(data), privateKey, "wrong");
+            });
+        });
+
+        it("should encrypt the response with the flipped vector", function() {
+            const body = { screen: "SUCCESS", data: { extension_message_response: { params: { flow_token: "token" } } } };
+            assert.deepEqual(response(encryptResponse(body, aes_key, iv)), body);
+        });
+    });
+
+    describe("Data exchange", function() {
+        it("should call the handler with the decrypted request and encrypt its response", async function() {
+            const handler = sinon.fake.resolves({ screen: "SUCCESS", data: { booked: true } });
+
+            const body = await dataExchange(request(data), privateKey, handler, passphrase);
+
+            sinon.assert.calledOnceWithExactly(handler, data);
+            assert.deepEqual(response(body), { screen: "SUCCESS", data: { booked: true } });
+        });
+
+        it("should answer the health checks without calling the handler", async function() {
+            const handler = sinon.fake();
+
+            const body = await dataExchange(request({ version: "3.0", action: "ping" }), privateKey, handler, passphrase);
+
+            sinon.assert.notCalled(handler);
+            assert.deepEqual(response(body), { data: { status: "active" } });
+        });
+
+        it("should throw 500 if private_key is not specified", async function() {
+            await assert.rejects(dataExchange(request(data), undefined, sinon.fake()), e => e === 500);
+        });
+
+        it("should throw 400 if the request is missing data", async function() {
+            await assert.rejects(dataExchange({ encrypted_flow_data: "data" }, privateKey, sinon.fake(), passphrase), e => e === 400);
+        });
+
+        it("should throw 421 if the request can't be decrypted", async function() {
+            const body = request(data);
+            body.encrypted_aes_key = randomBytes(256).toString("base64");
+
+            await assert.rejects(dataExchange(body, privateKey, sinon.fake(), passphrase), e => e === 421);
+        });
+    });
+});
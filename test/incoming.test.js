@@ -0,0 +1,215 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+const sinon = require('sinon');
+
+const {
+    parse,
+    IncomingMessage,
+    IncomingText,
+    IncomingMedia,
+    IncomingLocation,
+    IncomingContacts,
+    IncomingButtonReply,
+    IncomingListReply,
+    IncomingFlowReply,
+    IncomingOrder,
+    IncomingReaction,
+} = require('../incoming');
+
+const { Types } = require('../index');
+const { Text } = Types;
+
+describe("Incoming", function() {
+    const phoneID = "1";
+    const phone = "2";
+    const name = "name";
+    const id = "wamid.ID";
+
+    function message(type, data, extra = {}) {
+        return { from: phone, id, timestamp: "0", type, [type]: data, ...extra };
+    }
+
+    function fakeAPI() {
+        return { sendMessage: sinon.fake.resolves("sent"), markAsRead: sinon.fake.resolves("read") };
+    }
+
+    describe("Parse", function() {
+        it("should parse text messages", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("text", { body: "Hello" }), name);
+
+            assert.ok(incoming instanceof IncomingText);
+            assert.equal(incoming.body, "Hello");
+            assert.equal(incoming.from, phone);
+            assert.equal(incoming.name, name);
+            assert.equal(incoming.phoneID, phoneID);
+        });
+
+        it("should parse every media type", function() {
+            for (const type of ["audio", "document", "image", "sticker", "video"]) {
+                const incoming = parse(fakeAPI(), phoneID, message(type, { id: "3", mime_type: "mime/type", sha256: "hash", caption: "caption" }));
+
+                assert.ok(incoming instanceof IncomingMedia);
+                assert.equal(incoming.type, type);
+                assert.equal(incoming.media_id, "3");
+                assert.equal(incoming.mime_type, "mime/type");
+                assert.equal(incoming.sha256, "hash");
+                assert.equal(incoming.caption, "caption");
+            }
+        });
+
+        it("should parse location messages", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("location", { latitude: 1, longitude: 2, name: "Place", address: "Street" }), name);
+
+            assert.ok(incoming instanceof IncomingLocation);
+            assert.equal(incoming.latitude, 1);
+            assert.equal(incoming.longitude, 2);
+            assert.equal(incoming.location_name, "Place");
+            assert.equal(incoming.address, "Street");
+            assert.equal(incoming.name, name);
+        });
+
+        it("should parse contacts messages", function() {
+            const contacts = [{ name: { formatted_name: "John" } }];
+            const incoming = parse(fakeAPI(), phoneID, message("contacts", contacts));
+
+            assert.ok(incoming instanceof IncomingContacts);
+            assert.deepEqual(incoming.contacts, contacts);
+        });
+
+        it("should parse interactive button replies", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("interactive", { type: "button_reply", button_reply: { id: "yes", title: "Yes" } }));
+
+            assert.ok(incoming instanceof IncomingButtonReply);
+            assert.equal(incoming.button_id, "yes");
+            assert.equal(incoming.title, "Yes");
+        });
+
+        it("should parse template quick reply buttons", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("button", { payload: "yes", text: "Yes" }));
+
+            assert.ok(incoming instanceof IncomingButtonReply);
+            assert.equal(incoming.button_id, "yes");
+            assert.equal(incoming.title, "Yes");
+        });
+
+        it("should parse interactive list replies", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("interactive", { type: "list_reply", list_reply: { id: "row", title: "Row", description: "A row" } }));
+
+            assert.ok(incoming instanceof IncomingListReply);
+            assert.equal(incoming.row_id, "row");
+            assert.equal(incoming.title, "Row");
+            assert.equal(incoming.description, "A row");
+        });
+
+        it("should parse flow replies", function() {
+            const reply = { name: "flow", body: "Sent", response_json: "{\"flow_token\":\"token\",\"date\":\"2024-01-01\"}" };
+            const incoming = parse(fakeAPI(), phoneID, message("interactive", { type: "nfm_reply", nfm_reply: reply }));
+
+            assert.ok(incoming instanceof IncomingFlowReply);
+            assert.equal(incoming.flow_token, "token");
+            assert.deepEqual(incoming.response, { date: "2024-01-01" });
+            assert.equal(incoming.body, "Sent");
+        });
+
+        it("should keep the raw response of the malformed flow replies", function() {
+            const reply = { name: "flow", body: "Sent", response_json: "{" };
+            const incoming = parse(fakeAPI(), phoneID, message("interactive", { type: "nfm_reply", nfm_reply: reply }));
+
+            assert.ok(incoming instanceof IncomingFlowReply);
+            assert.equal(incoming.response, undefined);
+            assert.equal(incoming.flow_token, undefined);
+            assert.equal(incoming.response_json, "{");
+            assert.equal(incoming.body, "Sent");
+        });
+
+        it("should parse orders", function() {
+            const product_items = [{ product_retailer_id: "3", quantity: "1", item_price: "10", currency: "USD" }];
+            const incoming = parse(fakeAPI(), phoneID, message("order", { catalog_id: "4", text: "Thanks", product_items }));
+
+            assert.ok(incoming instanceof IncomingOrder);
+            assert.equal(incoming.catalog_id, "4");
+            assert.equal(incoming.text, "Thanks");
+            assert.deepEqual(incoming.product_items, product_items);
+        });
+
+        it("should parse reactions, including removed ones", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("reaction", { message_id: "wamid.OTHER", emoji: "👍" }));
+
+            assert.ok(incoming instanceof IncomingReaction);
+            assert.equal(incoming.message_id, "wamid.OTHER");
+            assert.equal(incoming.emoji, "👍");
+
+            const removed = parse(fakeAPI(), phoneID, message("reaction", { message_id: "wamid.OTHER" }));
+            assert.equal(removed.emoji, undefined);
+        });
+
+        it("should parse unknown types as an IncomingMessage", function() {
+            const raw = message("unsupported", {});
+            const incoming = parse(fakeAPI(), phoneID, raw);
+
+            assert.equal(incoming.constructor, IncomingMessage);
+            assert.equal(incoming.raw, raw);
+        });
+
+        it("should keep the context of replies", function() {
+            const context = { from: phone, id: "wamid.OTHER" };
+            const incoming = parse(fakeAPI(), phoneID, message("text", { body: "Hello" }, { context }));
+
+            assert.deepEqual(incoming.context, context);
+        });
+
+        it("should fail if the api, phoneID or message are not provided", function() {
+            const raw = message("text", { body: "Hello" });
+
+            assert.throws(function() {
+                new IncomingText(undefined, phoneID, raw);
+            });
+
+            assert.throws(function() {
+                new IncomingText(fakeAPI(), undefined, raw);
+            });
+
+            assert.throws(function() {
+                new IncomingText(fakeAPI(), phoneID);
+            });
+        });
+
+        it("should not expose the api object when serialized", function() {
+            const incoming = parse(fakeAPI(), phoneID, message("text", { body: "Hello" }));
+
+            assert.equal(JSON.parse(JSON.stringify(incoming)).api, undefined);
+        });
+    });
+
+    describe("Helpers", function() {
+        it("should reply to the sender quoting the message", async function() {
+            const api = fakeAPI();
+            const reply = new Text("Hi");
+
+            const response = await parse(api, phoneID, message("text", { body: "Hello" })).reply(reply);
+
+            sinon.assert.calledOnceWithExactly(api.sendMessage, phoneID, phone, reply, id);
+            assert.equal(response, "sent");
+        });
+
+        it("should reply to the phone number resolved by the webhook", async function() {
+            const api = fakeAPI();
+            const reply = new Text("Hi");
+
+            const incoming = parse(api, phoneID, message("text", { body: "Hello" }, { from: "5491112345678" }), name, "541112345678");
+            await incoming.reply(reply);
+
+            assert.equal(incoming.raw.from, "5491112345678");
+            sinon.assert.calledOnceWithExactly(api.sendMessage, phoneID, "541112345678", reply, id);
+        });
+
+        it("should mark the message as read", async function() {
+            const api = fakeAPI();
+
+            const response = await parse(api, phoneID, message("text", { body: "Hello" })).markAsRead();
+
+            sinon.assert.calledOnceWithExactly(api.markAsRead, phoneID, id);
+            assert.equal(response, "read");
+        });
+    });
+});
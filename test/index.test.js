@@ -1,15 +1,19 @@
 // Unit tests with mocha and sinon
 const assert = require('assert');
 const sinon = require('sinon');
+const { ReadableStream } = require('stream/web');
 
 // Mock the https requests
+// nock only intercepts Node's http module, so the clients are built with cross-fetch instead of the global fetch
+const fetch = require('cross-fetch');
 const nock = require('nock');
 nock.disableNetConnect();
 const api = nock("https://graph.facebook.com");
 
 // Import the module
-const { WhatsAppAPI, Types } = require('../index');
-const { Text } = Types;
+const { WhatsAppAPI, Types, Errors, SendQueue } = require('../index');
+const { Text, Reaction } = Types;
+const { WhatsAppAPIError, AuthenticationError, ReEngagementError, RateLimitError } = Errors;
 
 // Import mocks
 const { Request } = require('../fetch');
@@ -29,9 +33,9 @@ describe("WhatsAppAPI", function() {
     });
 
     describe("Version", function() {
-        it("should work with v14.0 as default", function() {
+        it("should work with v15.0 as default", function() {
             const Whatsapp = new WhatsAppAPI("YOUR_ACCESS_TOKEN");
-            assert.equal(Whatsapp.v, "v14.0");
+            assert.equal(Whatsapp.v, "v15.0");
         });
 
         it("should work with any specified version", function() {
@@ -57,8 +61,252 @@ describe("WhatsAppAPI", function() {
         });
     });
 
+    describe("Options", function() {
+        it("should accept an options object", function() {
+            const fetch = sinon.fake();
+            const Whatsapp = new WhatsAppAPI({
+                token: "YOUR_ACCESS_TOKEN",
+                v: "v16.0",
+                parsed: false,
+                fetch,
+                baseURL: "http://localhost:8080",
+                retry: false,
+                appSecret: "YOUR_APP_SECRET",
+            });
+
+            assert.equal(Whatsapp.token, "YOUR_ACCESS_TOKEN");
+            assert.equal(Whatsapp.v, "v16.0");
+            assert.equal(Whatsapp.parsed, false);
+            assert.equal(Whatsapp.fetch, fetch);
+            assert.equal(Whatsapp.baseURL, "http://localhost:8080");
+            assert.equal(Whatsapp._retry, undefined);
+            assert.equal(Whatsapp.appSecret, "YOUR_APP_SECRET");
+        });
+
+        it("should use the same defaults as the positional parameters", function() {
+            const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN" });
+
+            assert.equal(Whatsapp.v, "v15.0");
+            assert.equal(Whatsapp.parsed, true);
+            assert.equal(Whatsapp.baseURL, "https://graph.facebook.com");
+            assert.equal(Whatsapp._retry, undefined);
+            assert.equal(new WhatsAppAPI("YOUR_ACCESS_TOKEN")._retry, undefined);
+        });
+
+        it("should fail if the token is missing or isn't a string or a function", function() {
+            assert.throws(function() {
+                new WhatsAppAPI({ v: "v15.0" });
+            });
+
+            assert.throws(function() {
+                new WhatsAppAPI({ token: 1234 });
+            }, TypeError);
+        });
+
+        it("should verify the webhooks with the app secret", async function() {
+            const body = JSON.stringify({ object: "whatsapp_business_account", entry: [] });
+            const signature = `sha256=${require('crypto').createHmac("sha256", "YOUR_APP_SECRET").update(body).digest("hex")}`;
+
+            const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch, appSecret: "YOUR_APP_SECRET" });
+
+            assert.equal(await Whatsapp.verifyWebhook(body, signature), true);
+            assert.equal(await Whatsapp.verifyWebhook(body, "sha256=" + "0".repeat(64)), false);
+
+            assert.throws(function() {
+                new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).verifyWebhook(body, signature);
+            });
+        });
+    });
+
+    describe("Tenants", function() {
+        const expectedResponse = { success: true };
+
+        it("should resolve the token of each phone ID", async function() {
+            const tokens = { "1": "TOKEN_1", "2": "TOKEN_2" };
+            const resolver = sinon.spy(async ({ phoneID }) => tokens[phoneID]);
+            const Whatsapp = new WhatsAppAPI({ token: resolver, fetch, retry: false });
+
+            api.post(`/${Whatsapp.v}/1/messages`).matchHeader("authorization", "Bearer TOKEN_1").once().reply(200, expectedResponse);
+            api.post(`/${Whatsapp.v}/2/messages`).matchHeader("authorization", "Bearer TOKEN_2").once().reply(200, expectedResponse);
+
+            assert.deepEqual(await Whatsapp.markAsRead("1", "3"), expectedResponse);
+            assert.deepEqual(await Whatsapp.markAsRead("2", "3"), expectedResponse);
+
+            sinon.assert.calledWithExactly(resolver.firstCall, { phoneID: "1" });
+            sinon.assert.calledWithExactly(resolver.secondCall, { phoneID: "2" });
+        });
+
+        it("should resolve the token of the WABA and app requests", async function() {
+            const tokens = { "waba": "TOKEN_1", "app": "TOKEN_2" };
+            const resolver = sinon.spy(async ({ wabaID, appID }) => tokens[wabaID || appID]);
+            const Whatsapp = new WhatsAppAPI({ token: resolver, fetch, retry: false });
+
+            api.get(`/${Whatsapp.v}/waba/message_templates`).matchHeader("authorization", "Bearer TOKEN_1").once().reply(200, expectedResponse);
+            api.get(`/${Whatsapp.v}/waba/phone_numbers`).matchHeader("authorization", "Bearer TOKEN_1").once().reply(200, expectedResponse);
+            api.get(`/${Whatsapp.v}/5`).matchHeader("authorization", "Bearer TOKEN_1").once().reply(200, expectedResponse);
+            api.post(`/${Whatsapp.v}/app/uploads`).query(true).matchHeader("authorization", "Bearer TOKEN_2").once().reply(200, expectedResponse);
+            api.get(`/${Whatsapp.v}/upload:1`).matchHeader("authorization", "OAuth TOKEN_2").once().reply(200, expectedResponse);
+
+            assert.deepEqual(await Whatsapp.retrieveTemplates("waba"), expectedResponse);
+            assert.deepEqual(await Whatsapp.retrievePhoneNumbers("waba"), expectedResponse);
+            assert.deepEqual(await Whatsapp.retrieveTemplate("5", undefined, "waba"), expectedResponse);
+            assert.deepEqual(await Whatsapp.createUploadSession("app", 16, "image/png"), expectedResponse);
+            assert.deepEqual(await Whatsapp.retrieveUploadSession("upload:1", "app"), expectedResponse);
+
+            sinon.assert.calledWithExactly(resolver.getCall(0), { wabaID: "waba" });
+            sinon.assert.calledWithExactly(resolver.getCall(1), { wabaID: "waba" });
+            sinon.assert.calledWithExactly(resolver.getCall(2), { wabaID: "waba" });
+            sinon.assert.calledWithExactly(resolver.getCall(3), { appID: "app" });
+            sinon.assert.calledWithExactly(resolver.getCall(4), { appID: "app" });
+        });
+
+        it("should resolve the token of the media downloads with the phone ID", async function() {
+            const resolver = sinon.spy(async ({ phoneID }) => phoneID === "1" ? "TOKEN_1" : undefined);
+            const Whatsapp = new WhatsAppAPI({ token: resolver, fetch, retry: false });
+
+            nock("https://lookaside.fbsbx.com").get("/whatsapp_business/attachments/").query(true).matchHeader("authorization", "Bearer TOKEN_1").once().reply(200, "file");
+
+            const response = await Whatsapp.fetchMedia("https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=6", "1");
+
+            assert.ok(response);
+            sinon.assert.calledWithExactly(resolver.firstCall, { phoneID: "1" });
+        });
+
+        it("should reject if the resolver doesn't find a token", async function() {
+            const Whatsapp = new WhatsAppAPI({ token: () => undefined, fetch, retry: false });
+
+            await assert.rejects(Whatsapp.markAsRead("3", "4"), /No token found for phone ID 3/);
+            await assert.rejects(Whatsapp.retrieveTemplates("5"), /No token found for WABA ID 5/);
+            await assert.rejects(Whatsapp.createUploadSession("6", 16, "image/png"), /No token found for app ID 6/);
+        });
+
+        it("should create clients which share the settings but not the token", async function() {
+            const logger = sinon.spy();
+            const Whatsapp = new WhatsAppAPI({ token: "TOKEN_1", fetch, v: "v16.0", retry: false }).logSentMessages(logger).setSendQueue(100);
+            const Tenant = Whatsapp.tenant("TOKEN_2");
+
+            assert.equal(Tenant.token, "TOKEN_2");
+            assert.equal(Tenant.v, "v16.0");
+            assert.equal(Tenant._retry, undefined);
+            assert.equal(Tenant.queue, Whatsapp.queue);
+            assert.equal(Tenant._register, logger);
+
+            assert.equal(Whatsapp.tenant({ v: "v17.0" }).token, "TOKEN_1");
+            assert.equal(Whatsapp.tenant({ v: "v17.0" }).v, "v17.0");
+
+            api.post(`/v16.0/1/messages`).matchHeader("authorization", "Bearer TOKEN_2").once().reply(200, expectedResponse);
+
+            assert.deepEqual(await Tenant.markAsRead("1", "3"), expectedResponse);
+        });
+    });
+
+    describe("Phone", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch, retry: false });
+        const { Template, BodyComponent } = Types.Template;
+
+        const bot = "1";
+        const user = "2";
+        const phone = Whatsapp.phone(bot);
+
+        const expectedResponse = {
+            messaging_product: "whatsapp",
+            contacts: [{ input: user, wa_id: user }],
+            messages: [{ id: "3" }],
+        };
+
+        it("should fail if the phoneID is falsy", function() {
+            assert.throws(function() {
+                Whatsapp.phone();
+            });
+        });
+
+        it("should call the API methods with the phone ID", async function() {
+            const stub = sinon.stub(Whatsapp, "deleteQR").resolves({ success: true });
+
+            try {
+                assert.deepEqual(await phone.deleteQR("4"), { success: true });
+                sinon.assert.calledOnceWithExactly(stub, bot, "4");
+            } finally {
+                stub.restore();
+            }
+        });
+
+        it("should send a text message", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`, body => body.type === "text" && body.to === user).once().reply(200, expectedResponse);
+
+            assert.deepEqual(await phone.text(user, "Hello"), expectedResponse);
+        });
+
+        it("should send an image by link or id", async function() {
+            const spy = sinon.spy(Whatsapp, "sendMessage");
+
+            try {
+                api.post(`/${Whatsapp.v}/${bot}/messages`).twice().reply(200, expectedResponse);
+
+                await phone.image(user, "https://example.com/cat.png", "A cat");
+                await phone.image(user, "4490709327384033");
+
+                assert.equal(spy.firstCall.args[2].link, "https://example.com/cat.png");
+                assert.equal(spy.firstCall.args[2].caption, "A cat");
+                assert.equal(spy.secondCall.args[2].id, "4490709327384033");
+            } finally {
+                spy.restore();
+            }
+        });
+
+        it("should send a template message", async function() {
+            const spy = sinon.spy(Whatsapp, "sendMessage");
+
+            try {
+                api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+                await phone.template(user, "welcome", "en_US", new BodyComponent(new Text("Jane")));
+
+                assert.ok(spy.firstCall.args[2] instanceof Template);
+                assert.equal(spy.firstCall.args[2].name, "welcome");
+                assert.equal(spy.firstCall.args[2].components.length, 1);
+            } finally {
+                spy.restore();
+            }
+        });
+
+        it("should not expose the API object", function() {
+            assert.deepEqual(Object.keys(phone), ["phoneID"]);
+        });
+    });
+
+    describe("Transport", function() {
+        it("should use the global fetch or cross-fetch by default", function() {
+            const Whatsapp = new WhatsAppAPI("YOUR_ACCESS_TOKEN");
+            assert.equal(Whatsapp.fetch, require('../fetch-picker').pick());
+            assert.equal(Whatsapp.baseURL, "https://graph.facebook.com");
+        });
+
+        it("should make the requests with the custom fetch and base URL", async function() {
+            const mock = nock("http://localhost:8080");
+            const custom = sinon.spy((url, init) => require('cross-fetch')(url, { ...init, headers: { ...init.headers, 'User-Agent': "my-bot/1.0" } }));
+            const Whatsapp = new WhatsAppAPI("YOUR_ACCESS_TOKEN", "v15.0", true, custom, "http://localhost:8080/");
+
+            const expectedResponse = { success: true };
+
+            mock.post("/v15.0/1/messages").matchHeader("user-agent", "my-bot/1.0").once().reply(200, expectedResponse);
+
+            const response = await Whatsapp.markAsRead("1", "2");
+
+            assert.deepEqual(response, expectedResponse);
+            sinon.assert.calledOnce(custom);
+            assert.equal(custom.firstCall.args[0], "http://localhost:8080/v15.0/1/messages");
+        });
+
+        it("should fail if fetch is not a function", function() {
+            assert.throws(function() {
+                new WhatsAppAPI("YOUR_ACCESS_TOKEN", "v15.0", true, "fetch");
+            }, TypeError);
+        });
+    });
+
     describe("Logger", function() {
-        const Whatsapp = new WhatsAppAPI("YOUR_ACCESS_TOKEN");
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
 
         this.beforeEach(function() {
             Whatsapp.parsed = true;
@@ -147,11 +395,33 @@ describe("WhatsAppAPI", function() {
 
             api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, unexpectedResponse);
 
-            await Whatsapp.sendMessage(bot, user, message);
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), AuthenticationError);
             
             sinon.assert.calledOnceWithMatch(spy, bot, user, apiValidObject, request, undefined, unexpectedResponse);
         });
 
+        it("should run the logger with id and response as undefined if the request fails", async function() {
+            const spy = sinon.spy();
+
+            Whatsapp.logSentMessages(spy);
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().replyWithError("Network error");
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message));
+
+            sinon.assert.calledOnceWithMatch(spy, bot, user, apiValidObject, request);
+            assert.equal(spy.firstCall.args[4], undefined);
+            assert.equal(spy.firstCall.args[5], undefined);
+        });
+
+        it("should resolve with the response even if the logger throws", async function() {
+            Whatsapp.logSentMessages(() => { throw new Error("Logger failed"); });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+            assert.deepEqual(await Whatsapp.sendMessage(bot, user, message), expectedResponse);
+        });
+
         it("should run the logger with id and response as undefined if parsed is set to false", function() {
             Whatsapp.parsed = false;
             
@@ -166,7 +436,7 @@ describe("WhatsAppAPI", function() {
     });
     
     describe("Message", function() {
-        const Whatsapp = new WhatsAppAPI("YOUR_ACCESS_TOKEN");
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
 
         this.beforeEach(function() {
             Whatsapp.parsed = true;
@@ -226,6 +496,56 @@ describe("WhatsAppAPI", function() {
                 assert.deepEqual(response, expectedResponse);
             });
 
+            it("should be able to send a reaction", async function() {
+                const expectedResponse = { messaging_product: "whatsapp", messages: [{ id }] };
+
+                api.post(`/${Whatsapp.v}/${bot}/messages`, {
+                    messaging_product: "whatsapp",
+                    type: "reaction",
+                    to: user,
+                    reaction: { message_id: "wamid.ID", emoji: "👍" },
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.sendMessage(bot, user, new Reaction("wamid.ID", "👍"));
+
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should be able to remove a reaction", async function() {
+                const expectedResponse = { messaging_product: "whatsapp", messages: [{ id }] };
+
+                api.post(`/${Whatsapp.v}/${bot}/messages`, {
+                    messaging_product: "whatsapp",
+                    type: "reaction",
+                    to: user,
+                    reaction: { message_id: "wamid.ID", emoji: "" },
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.sendMessage(bot, user, new Reaction("wamid.ID"));
+
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should fail to build a reaction without a single emoji", function() {
+                assert.throws(function() {
+                    new Reaction("wamid.ID", "a");
+                });
+
+                assert.throws(function() {
+                    new Reaction("wamid.ID", "👍👍");
+                });
+
+                assert.throws(function() {
+                    new Reaction(undefined, "👍");
+                });
+
+                assert.doesNotThrow(function() {
+                    new Reaction("wamid.ID", "👍🏽");
+                    new Reaction("wamid.ID", "🇦🇷");
+                    new Reaction("wamid.ID", "👨‍👩‍👧");
+                });
+            });
+
             it("should fail if the phoneID param is falsy", function() {
                 assert.throws(function() {
                     Whatsapp.sendMessage(undefined, user, message);
@@ -357,155 +677,752 @@ describe("WhatsAppAPI", function() {
         });
     });
 
-    describe("QR", function() {
-        const Whatsapp = new WhatsAppAPI("YOUR_ACCESS_TOKEN");
+    describe("Media", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
 
         this.beforeEach(function() {
             Whatsapp.parsed = true;
         });
 
-        const bot = "1";
-        const message = "Hello World";
-        const code = "something_random";
+        describe("Upload", function() {
+            const bot = "1";
+            const id = "4490709327384033";
+            const file = "fake png content";
+
+            // Checks the multipart body has the expected fields
+            function form(mimeType, filename, content = file) {
+                return body => body.includes('name="messaging_product"\r\n\r\nwhatsapp\r\n') &&
+                    body.includes(`name="type"\r\n\r\n${mimeType}\r\n`) &&
+                    body.includes(`name="file"; filename="${filename}"\r\nContent-Type: ${mimeType}\r\n\r\n${content}\r\n`);
+            }
 
-        describe("Create", function() {
-            it("should be able to create a QR code as a png (default)", async function() {
-                const format = "png";
+            it("should upload a Buffer and return the media id", async function() {
+                api.post(`/${Whatsapp.v}/${bot}/media`, form("image/png", "photo.png"))
+                    .matchHeader("Content-Type", /^multipart\/form-data; boundary=/)
+                    .once().reply(200, { id });
 
-                const expectedResponse = {
-                    code,
-                    prefilled_message: message,
-                    deep_link_url: `https://wa.me/message/${code}`,
-                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
-                };
+                const response = await Whatsapp.uploadMedia(bot, Buffer.from(file), "image/png", "photo.png");
 
-                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
-                    generate_qr_image: format,
-                    prefilled_message: message,
-                }).once().reply(200, expectedResponse);
+                assert.equal(response, id);
+            });
 
-                const response = await Whatsapp.createQR(bot, message);
-    
-                assert.deepEqual(response, expectedResponse);
+            it("should upload a Blob", async function() {
+                const { Blob } = require('buffer');
+
+                api.post(`/${Whatsapp.v}/${bot}/media`, form("application/pdf", "file")).once().reply(200, { id });
+
+                const response = await Whatsapp.uploadMedia(bot, new Blob([file]), "application/pdf");
+
+                assert.equal(response, id);
             });
 
-            it("should be able to create a QR as a png", async function() {
-                const format = "png";
+            it("should upload a stream", async function() {
+                const { Readable } = require('stream');
 
-                const expectedResponse = {
-                    code,
-                    prefilled_message: message,
-                    deep_link_url: `https://wa.me/message/${code}`,
-                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
-                };
+                api.post(`/${Whatsapp.v}/${bot}/media`, form("audio/ogg", "voice.ogg", "fake ogg content")).once().reply(200, { id });
 
-                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
-                    generate_qr_image: format,
-                    prefilled_message: message,
-                }).once().reply(200, expectedResponse);
+                const response = await Whatsapp.uploadMedia(bot, Readable.from(["fake ", "ogg ", "content"]), "audio/ogg", "voice.ogg");
 
-                const response = await Whatsapp.createQR(bot, message, format);
-    
-                assert.deepEqual(response, expectedResponse);
+                assert.equal(response, id);
             });
 
-            it("should be able to create a QR as a svg", async function() {
-                const format = "svg";
+            it("should upload a file from its path", async function() {
+                const path = require('path').join(require('os').tmpdir(), `whatsapp-api-js-${Date.now()}.mp4`);
+                require('fs').writeFileSync(path, "fake mp4 content");
 
-                const expectedResponse = {
-                    code,
-                    prefilled_message: message,
-                    deep_link_url: `https://wa.me/message/${code}`,
-                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
-                };
+                api.post(`/${Whatsapp.v}/${bot}/media`, form("video/mp4", "video.mp4", "fake mp4 content")).once().reply(200, { id });
 
-                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
-                    generate_qr_image: format,
-                    prefilled_message: message,
-                }).once().reply(200, expectedResponse);
+                try {
+                    assert.equal(await Whatsapp.uploadMedia(bot, path, "video/mp4", "video.mp4"), id);
+                } finally {
+                    require('fs').unlinkSync(path);
+                }
+            });
 
-                const response = await Whatsapp.createQR(bot, message, format);
-    
-                assert.deepEqual(response, expectedResponse);
+            it("should fail if the file is over the size limit of its kind", async function() {
+                await assert.rejects(Whatsapp.uploadMedia(bot, new Uint8Array(5 * 1024 * 1024 + 1), "image/jpeg"), /5242880 bytes or less/);
+                await assert.rejects(Whatsapp.uploadMedia(bot, new Uint8Array(500 * 1024 + 1), "image/webp"));
             });
 
-            it("should fail if the phoneID param is falsy", function() {
-                assert.throws(function() {
-                    Whatsapp.createQR(undefined, message);
-                });
+            it("should stop reading a stream as soon as it goes over the size limit", async function() {
+                let read = 0;
+                // An endless stream, which would never fit in memory
+                const stream = (async function* () {
+                    for (;;) {
+                        read++;
+                        yield new Uint8Array(100 * 1024);
+                    }
+                })();
+
+                await assert.rejects(Whatsapp.uploadMedia(bot, stream, "image/webp"), /The file is at least 614400 bytes, but sticker files must be 512000 bytes or less/);
+                assert.equal(read, 6);
+            });
 
-                assert.throws(function() {
-                    Whatsapp.createQR(false, message);
+            it("should cancel a web stream once it goes over the size limit", async function() {
+                const cancel = sinon.spy();
+                const stream = new ReadableStream({
+                    pull: controller => controller.enqueue(new Uint8Array(100 * 1024)),
+                    cancel,
                 });
 
-                assert.throws(function() {
-                    Whatsapp.createQR();
-                });
+                await assert.rejects(Whatsapp.uploadMedia(bot, stream, "image/webp"), /sticker files must be 512000 bytes or less/);
+                sinon.assert.calledOnce(cancel);
+                assert.equal(stream.locked, false);
             });
 
-            it("should fail if the message param is falsy", function() {
+            it("should fail if the mime type is not supported", function() {
                 assert.throws(function() {
-                    Whatsapp.createQR(bot, undefined);
+                    Whatsapp.uploadMedia(bot, Buffer.from(file), "image/gif");
                 });
 
                 assert.throws(function() {
-                    Whatsapp.createQR(bot, false);
+                    Whatsapp.uploadMedia(bot, Buffer.from(file));
                 });
+            });
 
+            it("should fail if the phoneID or data params are falsy", function() {
                 assert.throws(function() {
-                    Whatsapp.createQR(bot);
+                    Whatsapp.uploadMedia(undefined, Buffer.from(file), "image/png");
                 });
-            });
-            
-            it("should fail with an invalid format type", function() {
-                const format = "jpg";
 
                 assert.throws(function() {
-                    Whatsapp.createQR(bot, message, format);
+                    Whatsapp.uploadMedia(bot, undefined, "image/png");
                 });
             });
 
+            it("should fail if data is not a supported type", async function() {
+                await assert.rejects(Whatsapp.uploadMedia(bot, 42, "image/png"), TypeError);
+            });
+
             it("should receive the raw fetch response if parsed is false", async function() {
                 Whatsapp.parsed = false;
 
-                const format = "png";
-
-                const expectedResponse = {
-                    code,
-                    prefilled_message: message,
-                    deep_link_url: `https://wa.me/message/${code}`,
-                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
-                };
+                api.post(`/${Whatsapp.v}/${bot}/media`, form("image/png", "file")).once().reply(200, { id });
 
-                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
-                    generate_qr_image: format,
-                    prefilled_message: message,
-                }).once().reply(200, expectedResponse);
-    
-                const response = await (await Whatsapp.createQR(bot, message)).json();
+                const response = await (await Whatsapp.uploadMedia(bot, Buffer.from(file), "image/png")).json();
 
-                assert.deepEqual(response, expectedResponse);
+                assert.deepEqual(response, { id });
             });
         });
+    });
 
-        describe("Retrieve", function() {
-            it("should retrieve all QR codes if code is undefined", async function() {
-                const expectedResponse = {
-                    data: [
-                        {
-                            code,
-                            prefilled_message: message,
-                            deep_link_url: `https://wa.me/message/${code}`,
-                        },
-                    ],
-                };
+    describe("Media management", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).setRetryPolicy(false);
+        const lookaside = nock("https://lookaside.fbsbx.com");
 
-                api.get(`/${Whatsapp.v}/${bot}/message_qrdls/`).once().reply(200, expectedResponse);
+        this.beforeEach(function() {
+            Whatsapp.parsed = true;
+        });
 
-                const response = await Whatsapp.retrieveQR(bot);
+        const bot = "1";
+        const id = "4490709327384033";
+        const file = "fake png content";
+        const url = `https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=${id}`;
+        const metadata = {
+            messaging_product: "whatsapp",
+            url,
+            mime_type: "image/png",
+            sha256: require('crypto').createHash("sha256").update(file).digest("hex"),
+            file_size: file.length,
+            id,
+        };
+
+        const fs = require('fs');
+        const destination = require('path').join(require('os').tmpdir(), `whatsapp-api-js-download-${Date.now()}.png`);
+
+        this.afterEach(function() {
+            if (fs.existsSync(destination)) fs.unlinkSync(destination);
+        });
 
-                assert.deepEqual(response, expectedResponse);
-            });
+        async function read(stream) {
+            let content = "";
+            for await (const chunk of stream) content += chunk;
+            return content;
+        }
+
+        describe("Retrieve", function() {
+            it("should retrieve the media metadata", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, metadata);
+
+                assert.deepEqual(await Whatsapp.retrieveMedia(id), metadata);
+            });
+
+            it("should check the media belongs to the phoneID if specified", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).query({ phone_number_id: bot }).once().reply(200, metadata);
+
+                assert.deepEqual(await Whatsapp.retrieveMedia(id, bot), metadata);
+            });
+
+            it("should fail if the id param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.retrieveMedia();
+                });
+            });
+        });
+
+        describe("Delete", function() {
+            it("should delete the media", async function() {
+                api.delete(`/${Whatsapp.v}/${id}`).once().reply(200, { success: true });
+
+                assert.deepEqual(await Whatsapp.deleteMedia(id), { success: true });
+            });
+
+            it("should fail if the id param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.deleteMedia();
+                });
+            });
+        });
+
+        describe("Fetch", function() {
+            it("should return the file as a stream", async function() {
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).matchHeader("Authorization", "Bearer YOUR_ACCESS_TOKEN").once().reply(200, file);
+
+                const stream = await Whatsapp.fetchMedia(url);
+
+                assert.equal(await read(stream), file);
+            });
+
+            it("should throw a WhatsAppAPIError if the download fails", async function() {
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(404, "Not found");
+
+                await assert.rejects(Whatsapp.fetchMedia(url), WhatsAppAPIError);
+            });
+
+            it("should fail if the url param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.fetchMedia();
+                });
+            });
+        });
+
+        describe("Get (deprecated)", function() {
+            it("should download the file into a Buffer, even if parsed is set to false", async function() {
+                Whatsapp.parsed = false;
+
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, metadata);
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(200, file);
+
+                const buffer = await Whatsapp.getMedia(id);
+
+                assert.ok(Buffer.isBuffer(buffer));
+                assert.equal(buffer.toString(), file);
+            });
+
+            it("should throw if the file can't be downloaded", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, metadata);
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(404, "Not found");
+
+                await assert.rejects(Whatsapp.getMedia(id), WhatsAppAPIError);
+            });
+
+            it("should fail if the id param is falsy", async function() {
+                await assert.rejects(Whatsapp.getMedia());
+            });
+        });
+
+        describe("Download", function() {
+            it("should download the file and return its metadata", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, metadata);
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(200, file);
+
+                const response = await Whatsapp.downloadMedia(id, destination);
+
+                assert.deepEqual(response, metadata);
+                assert.equal(fs.readFileSync(destination, "utf8"), file);
+            });
+
+            it("should accept base64 hashes", async function() {
+                const sha256 = require('crypto').createHash("sha256").update(file).digest("base64");
+
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, { ...metadata, sha256 });
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(200, file);
+
+                await Whatsapp.downloadMedia(id, destination);
+
+                assert.equal(fs.readFileSync(destination, "utf8"), file);
+            });
+
+            it("should delete the file and fail if the sha256 doesn't match", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, metadata);
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(200, "tampered content");
+
+                await assert.rejects(Whatsapp.downloadMedia(id, destination), /sha256/);
+                assert.equal(fs.existsSync(destination), false);
+            });
+
+            it("should delete the file and fail if the size doesn't match", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, { ...metadata, sha256: undefined, file_size: 1 });
+                lookaside.get("/whatsapp_business/attachments/").query({ mid: id }).once().reply(200, file);
+
+                await assert.rejects(Whatsapp.downloadMedia(id, destination), /size/);
+                assert.equal(fs.existsSync(destination), false);
+            });
+
+            it("should delete the file and fail if the download fails halfway", async function() {
+                // The connection drops after the first chunk
+                const body = (async function* () {
+                    yield Buffer.from(file.slice(0, 4));
+                    throw new Error("Connection reset");
+                })();
+                const dropping = (url, options) => url === metadata.url ? Promise.resolve({ ok: true, status: 200, body }) : fetch(url, options);
+
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(200, metadata);
+
+                await assert.rejects(new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch: dropping }).downloadMedia(id, destination), /Connection reset/);
+                assert.equal(fs.existsSync(destination), false);
+            });
+
+            it("should throw if the metadata can't be retrieved", async function() {
+                api.get(`/${Whatsapp.v}/${id}`).once().reply(400, { error: { message: "Invalid parameter", code: 100 } });
+
+                await assert.rejects(Whatsapp.downloadMedia(id, destination), Errors.InvalidParameterError);
+            });
+
+            it("should fail if the id or destination params are falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.downloadMedia(undefined, destination);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.downloadMedia(id);
+                });
+            });
+        });
+    });
+
+    describe("Queue", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+
+        const bot = "1";
+        const user = "2";
+        const message = new Text("Hello");
+        const expectedResponse = { messaging_product: "whatsapp", messages: [{ id: "3" }] };
+
+        this.afterEach(function() {
+            Whatsapp.setSendQueue();
+        });
+
+        it("should send the messages through the queue and resolve with the server response", async function() {
+            Whatsapp.setSendQueue(1000);
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+            const promise = Whatsapp.sendMessage(bot, user, message);
+
+            assert.ok(Whatsapp.queue instanceof SendQueue);
+            assert.deepEqual(await promise, expectedResponse);
+        });
+
+        it("should run the logger once the message leaves the queue", async function() {
+            const spy = sinon.spy();
+            Whatsapp.setSendQueue(1000).logSentMessages(spy);
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).twice().reply(200, expectedResponse);
+
+            const first = Whatsapp.sendMessage(bot, user, message);
+            const second = Whatsapp.sendMessage(bot, user, message);
+
+            assert.equal(Whatsapp.queue.depth(bot), 1);
+            sinon.assert.notCalled(spy);
+
+            await Promise.all([first, second]);
+
+            sinon.assert.calledTwice(spy);
+            Whatsapp.logSentMessages();
+        });
+
+        it("should accept a shared SendQueue", function() {
+            const queue = new SendQueue(10);
+            Whatsapp.setSendQueue(queue);
+            assert.equal(Whatsapp.queue, queue);
+        });
+
+        it("should remove the queue if rate is falsy", function() {
+            Whatsapp.setSendQueue(10).setSendQueue(false);
+            assert.equal(Whatsapp.queue, undefined);
+        });
+    });
+
+    describe("Errors", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).setRetryPolicy(false);
+
+        this.beforeEach(function() {
+            Whatsapp.parsed = true;
+        });
+
+        const bot = "1";
+        const user = "2";
+
+        const error = {
+            message: "(#131047) Re-engagement message",
+            type: "OAuthException",
+            code: 131047,
+            error_data: {
+                messaging_product: "whatsapp",
+                details: "Message failed to send because more than 24 hours have passed since the customer last replied to this number.",
+            },
+            error_subcode: 2494010,
+            fbtrace_id: "Az8or2yhqkZfEZ-_4Qn_Bam",
+        };
+
+        it("should throw a WhatsAppAPIError with the response data when sending a message fails", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(400, { error });
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, new Text("Hello")), e => {
+                assert.ok(e instanceof ReEngagementError);
+                assert.ok(e instanceof WhatsAppAPIError);
+                assert.equal(e.message, error.message);
+                assert.equal(e.code, error.code);
+                assert.equal(e.subcode, error.error_subcode);
+                assert.equal(e.fbtrace_id, error.fbtrace_id);
+                assert.deepEqual(e.details, error.error_data);
+                assert.deepEqual(e.raw, error);
+                return true;
+            });
+        });
+
+        it("should throw when marking a message as read fails", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(429, { error: { message: "Rate limit hit", code: 130429 } });
+
+            await assert.rejects(Whatsapp.markAsRead(bot, "3"), RateLimitError);
+        });
+
+        it("should throw when a QR operation fails", async function() {
+            api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/4`).once().reply(401, { error: { message: "Invalid OAuth access token", code: 190 } });
+
+            await assert.rejects(Whatsapp.deleteQR(bot, "4"), AuthenticationError);
+        });
+
+        it("should throw a WhatsAppAPIError if the error response isn't JSON", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(502, "<html>Bad Gateway</html>", { "Content-Type": "text/html" });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(502);
+            api.post(`/${Whatsapp.v}/${bot}/media`).once().reply(500, "Internal Server Error");
+
+            await assert.rejects(Whatsapp.markAsRead(bot, "3"), e => e instanceof WhatsAppAPIError && e.message === "Request failed with status 502");
+            await assert.rejects(Whatsapp.sendMessage(bot, user, new Text("Hello")), e => e instanceof WhatsAppAPIError && e.message === "Request failed with status 502");
+            await assert.rejects(Whatsapp.uploadMedia(bot, new Uint8Array(1), "image/png"), e => e instanceof WhatsAppAPIError && e.message === "Request failed with status 500");
+        });
+
+        it("should return the raw response without throwing if parsed is false", async function() {
+            Whatsapp.parsed = false;
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(400, { error });
+
+            const response = await (await Whatsapp.markAsRead(bot, "3")).json();
+
+            assert.deepEqual(response, { error });
+        });
+    });
+
+    describe("Retry", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+
+        this.beforeEach(function() {
+            Whatsapp.setRetryPolicy({ delay: 1, jitter: false });
+        });
+
+        const bot = "1";
+        const user = "2";
+        const message = new Text("Hello");
+        const expectedResponse = { messaging_product: "whatsapp", messages: [{ id: "3" }] };
+
+        it("should retry the requests which fail with a 5xx status", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(503, { error: { message: "Service unavailable", code: 2 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, { success: true });
+
+            const response = await Whatsapp.markAsRead(bot, "3");
+
+            assert.deepEqual(response, { success: true });
+        });
+
+        it("should not retry the messages which fail with a 5xx status or a service error", async function() {
+            const spy = sinon.spy();
+            Whatsapp.setRetryPolicy({ delay: 1, onRetry: spy });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(503, { error: { message: "Service unavailable", code: 2 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(400, { error: { message: "Service unavailable", code: 2 } });
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), Errors.ServiceError);
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), Errors.ServiceError);
+            sinon.assert.notCalled(spy);
+        });
+
+        it("should retry the messages which fail with a 429 status", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(429, { error: { message: "Rate limit hit", code: 130429 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+            const response = await Whatsapp.sendMessage(bot, user, message);
+
+            assert.deepEqual(response, expectedResponse);
+        });
+
+        it("should retry the messages which fail with a 5xx status if resendOnServerError is set", async function() {
+            Whatsapp.setRetryPolicy({ delay: 1, jitter: false, resendOnServerError: true });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(503, { error: { message: "Service unavailable", code: 2 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+            const response = await Whatsapp.sendMessage(bot, user, message);
+
+            assert.deepEqual(response, expectedResponse);
+        });
+
+        it("should retry the requests which fail with a throttling error code", async function() {
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(400, { error: { message: "Rate limit hit", code: 130429 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, { success: true });
+
+            const response = await Whatsapp.markAsRead(bot, "3");
+
+            assert.deepEqual(response, { success: true });
+        });
+
+        it("should honor the Retry-After header", async function() {
+            Whatsapp.setRetryPolicy({ delay: 60000 });
+
+            api.get(`/${Whatsapp.v}/${bot}/message_qrdls/`).once().reply(429, {}, { "Retry-After": "0" });
+            api.get(`/${Whatsapp.v}/${bot}/message_qrdls/`).once().reply(200, { data: [] });
+
+            const response = await Whatsapp.retrieveQR(bot);
+
+            assert.deepEqual(response, { data: [] });
+        });
+
+        it("should not retry the requests which fail for other reasons", async function() {
+            const spy = sinon.spy();
+            Whatsapp.setRetryPolicy({ delay: 1, onRetry: spy });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(400, { error: { message: "Invalid parameter", code: 100 } });
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), Errors.InvalidParameterError);
+            sinon.assert.notCalled(spy);
+        });
+
+        it("should give up after the maximum attempts and return the last response", async function() {
+            const spy = sinon.spy();
+            Whatsapp.setRetryPolicy({ attempts: 2, delay: 1, jitter: false, onRetry: spy });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).twice().reply(400, { error: { message: "Rate limit hit", code: 130429 } });
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), RateLimitError);
+            sinon.assert.calledOnceWithMatch(spy, 1, 1);
+        });
+
+        it("should call onRetry before each retry with the attempt, delay and response", async function() {
+            const spy = sinon.spy();
+            Whatsapp.setRetryPolicy({ attempts: 3, delay: 2, jitter: false, onRetry: spy });
+
+            api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/4`).twice().reply(500);
+            api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/4`).once().reply(200, { success: true });
+
+            await Whatsapp.deleteQR(bot, "4");
+
+            sinon.assert.calledTwice(spy);
+            sinon.assert.calledWithMatch(spy.getCall(0), 1, 2, sinon.match.has("status", 500));
+            sinon.assert.calledWithMatch(spy.getCall(1), 2, 4, sinon.match.has("status", 500));
+        });
+
+        it("should not retry the pair and spam rate limits", async function() {
+            const spy = sinon.spy();
+            Whatsapp.setRetryPolicy({ delay: 1, onRetry: spy });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(400, { error: { message: "Spam rate limit hit", code: 131048 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(429, { error: { message: "Pair rate limit hit", code: 131056 } });
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), RateLimitError);
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), RateLimitError);
+            sinon.assert.notCalled(spy);
+        });
+
+        it("should read the body of the failed responses before retrying", async function() {
+            const responses = [];
+            Whatsapp.setRetryPolicy({ delay: 1, jitter: false, onRetry: (attempt, delay, response) => responses.push(response) });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(503, { error: { message: "Service unavailable", code: 2 } });
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, { success: true });
+
+            await Whatsapp.markAsRead(bot, "3");
+
+            assert.equal(responses.length, 1);
+            assert.equal(responses[0].bodyUsed, true);
+        });
+
+        it("should not retry if the policy is not set", async function() {
+            const Unset = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(503, { error: { message: "Service unavailable", code: 2 } });
+
+            await assert.rejects(Unset.markAsRead(bot, "3"), Errors.ServiceError);
+        });
+
+        it("should not retry if the policy is disabled", async function() {
+            Whatsapp.setRetryPolicy(false);
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(500, { error: { message: "Unknown error", code: 1 } });
+
+            await assert.rejects(Whatsapp.sendMessage(bot, user, message), Errors.ServiceError);
+        });
+
+        it("should fail if the policy is not an object or onRetry is not a function", function() {
+            assert.throws(function() {
+                Whatsapp.setRetryPolicy("policy");
+            }, TypeError);
+
+            assert.throws(function() {
+                Whatsapp.setRetryPolicy({ onRetry: "callback" });
+            }, TypeError);
+        });
+    });
+
+    describe("QR", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+
+        this.beforeEach(function() {
+            Whatsapp.parsed = true;
+        });
+
+        const bot = "1";
+        const message = "Hello World";
+        const code = "something_random";
+
+        describe("Create", function() {
+            it("should be able to create a QR code as a png (default)", async function() {
+                const format = "png";
+
+                const expectedResponse = {
+                    code,
+                    prefilled_message: message,
+                    deep_link_url: `https://wa.me/message/${code}`,
+                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
+                };
+
+                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
+                    generate_qr_image: format,
+                    prefilled_message: message,
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.createQR(bot, message);
+    
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should be able to create a QR as a png", async function() {
+                const format = "png";
+
+                const expectedResponse = {
+                    code,
+                    prefilled_message: message,
+                    deep_link_url: `https://wa.me/message/${code}`,
+                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
+                };
+
+                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
+                    generate_qr_image: format,
+                    prefilled_message: message,
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.createQR(bot, message, format);
+    
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should be able to create a QR as a svg", async function() {
+                const format = "svg";
+
+                const expectedResponse = {
+                    code,
+                    prefilled_message: message,
+                    deep_link_url: `https://wa.me/message/${code}`,
+                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
+                };
+
+                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
+                    generate_qr_image: format,
+                    prefilled_message: message,
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.createQR(bot, message, format);
+    
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should fail if the phoneID param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.createQR(undefined, message);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.createQR(false, message);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.createQR();
+                });
+            });
+
+            it("should fail if the message param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.createQR(bot, undefined);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.createQR(bot, false);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.createQR(bot);
+                });
+            });
+            
+            it("should fail with an invalid format type", function() {
+                const format = "jpg";
+
+                assert.throws(function() {
+                    Whatsapp.createQR(bot, message, format);
+                });
+            });
+
+            it("should receive the raw fetch response if parsed is false", async function() {
+                Whatsapp.parsed = false;
+
+                const format = "png";
+
+                const expectedResponse = {
+                    code,
+                    prefilled_message: message,
+                    deep_link_url: `https://wa.me/message/${code}`,
+                    qr_image_url: 'https://scontent.faep22-1.fna.fbcdn.net/m1/v/t6/another_weird_url',
+                };
+
+                api.post(`/${Whatsapp.v}/${bot}/message_qrdls`).query({
+                    generate_qr_image: format,
+                    prefilled_message: message,
+                }).once().reply(200, expectedResponse);
+    
+                const response = await (await Whatsapp.createQR(bot, message)).json();
+
+                assert.deepEqual(response, expectedResponse);
+            });
+        });
+
+        describe("Retrieve", function() {
+            it("should retrieve all QR codes if code is undefined", async function() {
+                const expectedResponse = {
+                    data: [
+                        {
+                            code,
+                            prefilled_message: message,
+                            deep_link_url: `https://wa.me/message/${code}`,
+                        },
+                    ],
+                };
+
+                api.get(`/${Whatsapp.v}/${bot}/message_qrdls/`).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.retrieveQR(bot);
+
+                assert.deepEqual(response, expectedResponse);
+            });
 
             it("should be able to retrieve a single QR code", async function() {
                 const expectedResponse = {
@@ -552,147 +1469,770 @@ describe("WhatsAppAPI", function() {
                     ]
                 };
 
-                api.get(`/${Whatsapp.v}/${bot}/message_qrdls/`).once().reply(200, expectedResponse);
-    
-                const response = await (await Whatsapp.retrieveQR(bot)).json();
+                api.get(`/${Whatsapp.v}/${bot}/message_qrdls/`).once().reply(200, expectedResponse);
+    
+                const response = await (await Whatsapp.retrieveQR(bot)).json();
+
+                assert.deepEqual(response, expectedResponse);
+            });
+        });
+
+        describe("Update", function() {
+            const new_message = "Hello World 2";
+
+            it("should be able to update a QR code", async function() {
+                const expectedResponse = {
+                    code,
+                    prefilled_message: new_message,
+                    deep_link_url: `https://wa.me/message/${code}`,
+                };
+
+                api.post(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).query({
+                    prefilled_message: new_message,
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.updateQR(bot, code, new_message);
+    
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should fail if the phoneID param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.updateQR(undefined, code, new_message);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateQR(false, code, new_message);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateQR();
+                });
+            });
+
+            it("should fail if the code param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.updateQR(bot, undefined, new_message);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateQR(bot, false, new_message);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateQR(bot);
+                });
+            });
+
+            it("should fail if the message param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.updateQR(bot, code, undefined);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateQR(bot, code, false);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateQR(bot, code);
+                });
+            });
+
+            it("should receive the raw fetch response if parsed is false", async function() {
+                Whatsapp.parsed = false;
+
+                const expectedResponse = {
+                    code,
+                    prefilled_message: new_message,
+                    deep_link_url: `https://wa.me/message/${code}`,
+                };
+
+                api.post(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).query({
+                    prefilled_message: new_message,
+                }).once().reply(200, expectedResponse);
+    
+                const response = await (await Whatsapp.updateQR(bot, code, new_message)).json();
+
+                assert.deepEqual(response, expectedResponse);
+            });
+        });
+
+        describe("Delete", function() {
+            it("should be able to delete a QR code", async function() {
+                const expectedResponse = {
+                    success: true,
+                };
+
+                api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.deleteQR(bot, code);
+    
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should fail if the phoneID param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.deleteQR(undefined, code);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.deleteQR(false, code);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.deleteQR();
+                });
+            });
+
+            it("should fail if the code param is falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.deleteQR(bot, undefined);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.deleteQR(bot, false);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.deleteQR(bot);
+                });
+            });
+
+            it("should receive the raw fetch response if parsed is false", async function() {
+                Whatsapp.parsed = false;
+
+                const expectedResponse = {
+                    success: true,
+                };
+
+                api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).once().reply(200, expectedResponse);
+    
+                const response = await (await Whatsapp.deleteQR(bot, code)).json();
+
+                assert.deepEqual(response, expectedResponse);
+            });
+        });
+    });
+
+    describe("Template registry", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).setTemplateRegistry([
+            { name: "welcome", language: "en_US", components: [{ type: "BODY", text: "Hi {{1}}!" }] },
+        ]);
+        const { Template, BodyComponent } = Types.Template;
+
+        const bot = "1";
+        const user = "2";
+
+        it("should send a template which matches its definition", async function() {
+            const expectedResponse = {
+                messaging_product: "whatsapp",
+                contacts: [{ input: user, wa_id: user }],
+                messages: [{ id: "3" }],
+            };
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+            const response = await Whatsapp.sendMessage(bot, user, new Template("welcome", "en_US", new BodyComponent(new Text("Jane"))));
+
+            assert.deepEqual(response, expectedResponse);
+        });
+
+        it("should throw before making the request if the template doesn't match", function() {
+            const spy = sinon.spy();
+            Whatsapp.logSentMessages(spy);
+
+            assert.throws(function() {
+                Whatsapp.sendMessage(bot, user, new Template("welcome", "en_US"));
+            }, /the body has 0 parameters but 1 were expected/);
+
+            assert.throws(function() {
+                Whatsapp.sendMessage(bot, user, new Template("welcome", "es_AR", new BodyComponent(new Text("Jane"))));
+            }, /not available in 'es_AR'/);
+
+            sinon.assert.notCalled(spy);
+            Whatsapp.logSentMessages();
+        });
+
+        it("should not check the other messages", async function() {
+            const expectedResponse = {
+                messaging_product: "whatsapp",
+                contacts: [{ input: user, wa_id: user }],
+                messages: [{ id: "4" }],
+            };
+
+            api.post(`/${Whatsapp.v}/${bot}/messages`).once().reply(200, expectedResponse);
+
+            const response = await Whatsapp.sendMessage(bot, user, new Text("Hello"));
+
+            assert.deepEqual(response, expectedResponse);
+        });
+
+        it("should be able to remove the registry", function() {
+            const Unchecked = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).setTemplateRegistry([]).setTemplateRegistry();
+            assert.equal(Unchecked.registry, undefined);
+        });
+    });
+
+    describe("Templates", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+        const { TemplateDefinition, HeaderComponentDefinition, BodyComponentDefinition, FooterComponentDefinition, ButtonComponentDefinition, ButtonDefinition } = Types.TemplateDefinition;
+
+        this.beforeEach(function() {
+            Whatsapp.parsed = true;
+        });
+
+        const waba = "2";
+        const id = "594425479261596";
+        const name = "order_update";
+
+        describe("Retrieve", function() {
+            it("should be able to list the templates with filters", async function() {
+                const expectedResponse = {
+                    data: [{ name, language: "en_US", status: "APPROVED", category: "UTILITY", id }],
+                    paging: { cursors: { before: "MAZDZD", after: "MjQZD" } },
+                };
+
+                api.get(`/${Whatsapp.v}/${waba}/message_templates`).query({ status: "APPROVED", limit: "10" }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.retrieveTemplates(waba, { status: "APPROVED", limit: 10 });
+
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should be able to get a template by its id", async function() {
+                const expectedResponse = { name, status: "APPROVED", id };
+
+                api.get(`/${Whatsapp.v}/${id}`).query({ fields: "name,status" }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.retrieveTemplate(id, "name,status");
 
                 assert.deepEqual(response, expectedResponse);
             });
-        });
 
-        describe("Update", function() {
-            const new_message = "Hello World 2";
+            it("should fail if the wabaID or id params are falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.retrieveTemplates();
+                });
 
-            it("should be able to update a QR code", async function() {
-                const expectedResponse = {
-                    code,
-                    prefilled_message: new_message,
-                    deep_link_url: `https://wa.me/message/${code}`,
+                assert.throws(function() {
+                    Whatsapp.retrieveTemplate();
+                });
+            });
+        });
+
+        describe("Create", function() {
+            it("should be able to create a template from a definition", async function() {
+                const definition = new TemplateDefinition(name, "en_US", "UTILITY",
+                    new HeaderComponentDefinition("TEXT", "Order {{1}}", "#1234"),
+                    new BodyComponentDefinition("Hi {{1}}, your order ships on {{2}}", "Jane", "Monday"),
+                    new FooterComponentDefinition("Thanks for shopping with us"),
+                    new ButtonComponentDefinition(
+                        new ButtonDefinition("URL", "Track", "https://example.com/track/{{1}}", "1234"),
+                        new ButtonDefinition("QUICK_REPLY", "Stop updates"),
+                    ),
+                );
+
+                const expectedBody = {
+                    name,
+                    language: "en_US",
+                    category: "UTILITY",
+                    components: [
+                        { type: "HEADER", format: "TEXT", text: "Order {{1}}", example: { header_text: ["#1234"] } },
+                        { type: "BODY", text: "Hi {{1}}, your order ships on {{2}}", example: { body_text: [["Jane", "Monday"]] } },
+                        { type: "FOOTER", text: "Thanks for shopping with us" },
+                        { type: "BUTTONS", buttons: [
+                            { type: "URL", text: "Track", url: "https://example.com/track/{{1}}", example: ["1234"] },
+                            { type: "QUICK_REPLY", text: "Stop updates" },
+                        ] },
+                    ],
                 };
 
-                api.post(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).query({
-                    prefilled_message: new_message,
-                }).once().reply(200, expectedResponse);
+                const expectedResponse = { id, status: "PENDING", category: "UTILITY" };
+
+                api.post(`/${Whatsapp.v}/${waba}/message_templates`, expectedBody).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.createTemplate(waba, definition);
 
-                const response = await Whatsapp.updateQR(bot, code, new_message);
-    
                 assert.deepEqual(response, expectedResponse);
             });
 
-            it("should fail if the phoneID param is falsy", function() {
+            it("should fail if the wabaID or definition params are falsy", function() {
                 assert.throws(function() {
-                    Whatsapp.updateQR(undefined, code, new_message);
+                    Whatsapp.createTemplate(undefined, {});
                 });
 
                 assert.throws(function() {
-                    Whatsapp.updateQR(false, code, new_message);
+                    Whatsapp.createTemplate(waba);
                 });
+            });
 
+            it("should fail to build a definition without exactly one body", function() {
                 assert.throws(function() {
-                    Whatsapp.updateQR();
+                    new TemplateDefinition(name, "en_US", "UTILITY", new FooterComponentDefinition("Footer"));
                 });
-            });
 
-            it("should fail if the code param is falsy", function() {
                 assert.throws(function() {
-                    Whatsapp.updateQR(bot, undefined, new_message);
+                    new TemplateDefinition(name, "en_US", "UTILITY", new BodyComponentDefinition("One"), new BodyComponentDefinition("Two"));
                 });
+            });
 
+            it("should fail to build a definition with an invalid name or category", function() {
                 assert.throws(function() {
-                    Whatsapp.updateQR(bot, false, new_message);
+                    new TemplateDefinition("Order Update", "en_US", "UTILITY", new BodyComponentDefinition("Hi"));
                 });
 
                 assert.throws(function() {
-                    Whatsapp.updateQR(bot);
+                    new TemplateDefinition(name, "en_US", "TRANSACTIONAL", new BodyComponentDefinition("Hi"));
                 });
             });
 
-            it("should fail if the message param is falsy", function() {
+            it("should fail to build components whose variables don't have examples", function() {
                 assert.throws(function() {
-                    Whatsapp.updateQR(bot, code, undefined);
+                    new BodyComponentDefinition("Hi {{1}}, your order ships on {{2}}", "Jane");
                 });
 
                 assert.throws(function() {
-                    Whatsapp.updateQR(bot, code, false);
+                    new HeaderComponentDefinition("TEXT", "Order {{1}}");
                 });
 
                 assert.throws(function() {
-                    Whatsapp.updateQR(bot, code);
+                    new ButtonDefinition("URL", "Track", "https://example.com/track/{{1}}");
                 });
             });
+        });
 
-            it("should receive the raw fetch response if parsed is false", async function() {
-                Whatsapp.parsed = false;
+        describe("Update", function() {
+            it("should only send the category and components of a definition", async function() {
+                const definition = new TemplateDefinition(name, "en_US", "MARKETING", new BodyComponentDefinition("Hello!"));
 
-                const expectedResponse = {
-                    code,
-                    prefilled_message: new_message,
-                    deep_link_url: `https://wa.me/message/${code}`,
+                const expectedBody = {
+                    category: "MARKETING",
+                    components: [{ type: "BODY", text: "Hello!" }],
                 };
 
-                api.post(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).query({
-                    prefilled_message: new_message,
-                }).once().reply(200, expectedResponse);
-    
-                const response = await (await Whatsapp.updateQR(bot, code, new_message)).json();
+                const expectedResponse = { success: true };
+
+                api.post(`/${Whatsapp.v}/${id}`, expectedBody).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.updateTemplate(id, definition);
 
                 assert.deepEqual(response, expectedResponse);
             });
+
+            it("should fail if the changes don't have a category nor components", function() {
+                assert.throws(function() {
+                    Whatsapp.updateTemplate(id, { name });
+                });
+
+                assert.throws(function() {
+                    Whatsapp.updateTemplate(undefined, { category: "MARKETING" });
+                });
+            });
         });
 
         describe("Delete", function() {
-            it("should be able to delete a QR code", async function() {
+            it("should be able to delete a template by name", async function() {
+                const expectedResponse = { success: true };
+
+                api.delete(`/${Whatsapp.v}/${waba}/message_templates`).query({ name }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.deleteTemplate(waba, name);
+
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should be able to delete a single language of a template", async function() {
+                const expectedResponse = { success: true };
+
+                api.delete(`/${Whatsapp.v}/${waba}/message_templates`).query({ name, hsm_id: id }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.deleteTemplate(waba, name, id);
+
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should fail if the wabaID or name params are falsy", function() {
+                assert.throws(function() {
+                    Whatsapp.deleteTemplate(undefined, name);
+                });
+
+                assert.throws(function() {
+                    Whatsapp.deleteTemplate(waba);
+                });
+            });
+        });
+    });
+
+    describe("Phone numbers", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+
+        this.beforeEach(function() {
+            Whatsapp.parsed = true;
+        });
+
+        const waba = "2";
+        const bot = "1";
+        const pin = "123456";
+        const success = { success: true };
+
+        describe("Retrieve", function() {
+            it("should be able to list the phone numbers of a WABA", async function() {
                 const expectedResponse = {
-                    success: true,
+                    data: [{ verified_name: "Jane's Shop", display_phone_number: "+1 631-555-5555", id: bot, quality_rating: "GREEN" }],
                 };
 
-                api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).once().reply(200, expectedResponse);
+                api.get(`/${Whatsapp.v}/${waba}/phone_numbers`).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.retrievePhoneNumbers(waba);
 
-                const response = await Whatsapp.deleteQR(bot, code);
-    
                 assert.deepEqual(response, expectedResponse);
             });
 
-            it("should fail if the phoneID param is falsy", function() {
+            it("should get the quality rating, verified name and messaging limit tier by default", async function() {
+                const expectedResponse = { quality_rating: "GREEN", verified_name: "Jane's Shop", messaging_limit_tier: "TIER_1K", id: bot };
+
+                api.get(`/${Whatsapp.v}/${bot}`).query(query => {
+                    return ["quality_rating", "verified_name", "messaging_limit_tier"].every(e => query.fields.split(",").includes(e));
+                }).once().reply(200, expectedResponse);
+
+                const response = await Whatsapp.retrievePhoneNumber(bot);
+
+                assert.deepEqual(response, expectedResponse);
+            });
+
+            it("should fail if the wabaID or phoneID params are falsy", function() {
                 assert.throws(function() {
-                    Whatsapp.deleteQR(undefined, code);
+                    Whatsapp.retrievePhoneNumbers();
                 });
 
                 assert.throws(function() {
-                    Whatsapp.deleteQR(false, code);
+                    Whatsapp.retrievePhoneNumber();
                 });
+            });
+        });
+
+        describe("Verification", function() {
+            it("should be able to request a code by SMS (default)", async function() {
+                api.post(`/${Whatsapp.v}/${bot}/request_code`, { code_method: "SMS", language: "en_US" }).once().reply(200, success);
+
+                assert.deepEqual(await Whatsapp.requestCode(bot), success);
+            });
+
+            it("should be able to request a code by voice", async function() {
+                api.post(`/${Whatsapp.v}/${bot}/request_code`, { code_method: "VOICE", language: "es_AR" }).once().reply(200, success);
+
+                assert.deepEqual(await Whatsapp.requestCode(bot, "VOICE", "es_AR"), success);
+            });
+
+            it("should be able to verify a code", async function() {
+                api.post(`/${Whatsapp.v}/${bot}/verify_code`, { code: "654321" }).once().reply(200, success);
 
+                assert.deepEqual(await Whatsapp.verifyCode(bot, 654321), success);
+            });
+
+            it("should fail if the method is not either 'SMS' or 'VOICE'", function() {
                 assert.throws(function() {
-                    Whatsapp.deleteQR();
+                    Whatsapp.requestCode(bot, "EMAIL");
                 });
             });
 
-            it("should fail if the code param is falsy", function() {
+            it("should fail if the code is falsy", function() {
                 assert.throws(function() {
-                    Whatsapp.deleteQR(bot, undefined);
+                    Whatsapp.verifyCode(bot);
+                });
+            });
+        });
+
+        describe("Registration", function() {
+            it("should be able to register a phone number", async function() {
+                api.post(`/${Whatsapp.v}/${bot}/register`, { messaging_product: "whatsapp", pin }).once().reply(200, success);
+
+                assert.deepEqual(await Whatsapp.registerPhoneNumber(bot, pin), success);
+            });
+
+            it("should be able to deregister a phone number", async function() {
+                api.post(`/${Whatsapp.v}/${bot}/deregister`).once().reply(200, success);
+
+                assert.deepEqual(await Whatsapp.deregisterPhoneNumber(bot), success);
+            });
+
+            it("should be able to set the two-step verification PIN", async function() {
+                api.post(`/${Whatsapp.v}/${bot}`, { pin }).once().reply(200, success);
+
+                assert.deepEqual(await Whatsapp.setTwoStepPIN(bot, pin), success);
+            });
+
+            it("should fail if the PIN is not 6 digits", function() {
+                assert.throws(function() {
+                    Whatsapp.registerPhoneNumber(bot, "1234");
                 });
 
                 assert.throws(function() {
-                    Whatsapp.deleteQR(bot, false);
+                    Whatsapp.setTwoStepPIN(bot, "abcdef");
                 });
 
                 assert.throws(function() {
-                    Whatsapp.deleteQR(bot);
+                    Whatsapp.setTwoStepPIN(bot);
                 });
             });
 
             it("should receive the raw fetch response if parsed is false", async function() {
                 Whatsapp.parsed = false;
 
-                const expectedResponse = {
-                    success: true,
-                };
+                api.post(`/${Whatsapp.v}/${bot}/deregister`).once().reply(200, success);
 
-                api.delete(`/${Whatsapp.v}/${bot}/message_qrdls/${code}`).once().reply(200, expectedResponse);
-    
-                const response = await (await Whatsapp.deleteQR(bot, code)).json();
+                const response = await (await Whatsapp.deregisterPhoneNumber(bot)).json();
 
-                assert.deepEqual(response, expectedResponse);
+                assert.deepEqual(response, success);
+            });
+        });
+    });
+
+    describe("Business profile", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch });
+        const { BusinessProfile } = Types;
+
+        const bot = "1";
+
+        it("should get every field by default", async function() {
+            const expectedResponse = {
+                data: [{ about: "Hello!", vertical: "RETAIL", websites: ["https://example.com"], messaging_product: "whatsapp" }],
+            };
+
+            api.get(`/${Whatsapp.v}/${bot}/whatsapp_business_profile`).query({
+                fields: "about,address,description,email,profile_picture_url,websites,vertical",
+            }).once().reply(200, expectedResponse);
+
+            const response = await Whatsapp.getBusinessProfile(bot);
+
+            assert.deepEqual(response, expectedResponse);
+        });
+
+        it("should be able to get only some fields", async function() {
+            const expectedResponse = { data: [{ about: "Hello!", messaging_product: "whatsapp" }] };
+
+            api.get(`/${Whatsapp.v}/${bot}/whatsapp_business_profile`).query({ fields: "about,email" }).once().reply(200, expectedResponse);
+
+            assert.deepEqual(await Whatsapp.getBusinessProfile(bot, ["about", "email"]), expectedResponse);
+        });
+
+        it("should only update the specified fields", async function() {
+            const profile = new BusinessProfile({
+                about: "Hello!",
+                email: "shop@example.com",
+                websites: ["https://example.com"],
+                vertical: "RETAIL",
+                profile_picture_handle: "4::aW1hZ2UvcG5n:ARb",
+            });
+
+            const expectedBody = {
+                messaging_product: "whatsapp",
+                about: "Hello!",
+                email: "shop@example.com",
+                websites: ["https://example.com"],
+                vertical: "RETAIL",
+                profile_picture_handle: "4::aW1hZ2UvcG5n:ARb",
+            };
+
+            api.post(`/${Whatsapp.v}/${bot}/whatsapp_business_profile`, expectedBody).once().reply(200, { success: true });
+
+            assert.deepEqual(await Whatsapp.updateBusinessProfile(bot, profile), { success: true });
+        });
+
+        it("should fail if the phoneID or profile params are falsy", function() {
+            assert.throws(function() {
+                Whatsapp.getBusinessProfile();
+            });
+
+            assert.throws(function() {
+                Whatsapp.updateBusinessProfile(bot);
+            });
+        });
+
+        it("should build a profile with only the given fields", function() {
+            assert.deepEqual({ ...new BusinessProfile({ vertical: "RETAIL" }) }, { vertical: "RETAIL" });
+        });
+
+        it("should fail to build a profile with invalid fields", function() {
+            assert.throws(function() {
+                new BusinessProfile();
+            });
+
+            assert.throws(function() {
+                new BusinessProfile({ about: "a".repeat(140) });
+            });
+
+            assert.throws(function() {
+                new BusinessProfile({ email: "not an email" });
+            });
+
+            assert.throws(function() {
+                new BusinessProfile({ websites: ["https://a.com", "https://b.com", "https://c.com"] });
+            });
+
+            assert.throws(function() {
+                new BusinessProfile({ websites: ["example.com"] });
+            });
+
+            assert.throws(function() {
+                new BusinessProfile({ vertical: "SHOP" });
+            });
+        });
+    });
+
+    describe("Resumable upload", function() {
+        const Whatsapp = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).setRetryPolicy({ delay: 0, jitter: false });
+
+        this.beforeEach(function() {
+            Whatsapp.parsed = true;
+        });
+
+        const app = "3";
+        const session = "upload:MTphdHRhY2htZW50";
+        const handle = "4::aW1hZ2UvcG5n:ARb";
+        const file = "fake png content";
+
+        it("should be able to create and check an upload session", async function() {
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query({ file_name: "logo.png", file_length: "16", file_type: "image/png" }).once().reply(200, { id: session });
+            api.get(`/${Whatsapp.v}/${session}`).matchHeader("authorization", "OAuth YOUR_ACCESS_TOKEN").once().reply(200, { id: session, file_offset: 0 });
+
+            assert.deepEqual(await Whatsapp.createUploadSession(app, 16, "image/png", "logo.png"), { id: session });
+            assert.deepEqual(await Whatsapp.retrieveUploadSession(session), { id: session, file_offset: 0 });
+        });
+
+        it("should upload the file in chunks and return the handle", async function() {
+            const progress = sinon.spy();
+
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query({ file_name: "file", file_length: "16", file_type: "image/png" }).once().reply(200, { id: session });
+            api.post(`/${Whatsapp.v}/${session}`, "fake png").matchHeader("file_offset", "0").once().reply(200, {});
+            api.post(`/${Whatsapp.v}/${session}`, " content").matchHeader("file_offset", "8").once().reply(200, { h: handle });
+
+            const response = await Whatsapp.resumableUpload(app, Buffer.from(file), "image/png", { chunkSize: 8, onProgress: progress });
+
+            assert.equal(response, handle);
+            sinon.assert.calledTwice(progress);
+            sinon.assert.calledWithExactly(progress.firstCall, 8, 16);
+            sinon.assert.calledWithExactly(progress.secondCall, 16, 16);
+        });
+
+        it("should continue from the server offset if the connection drops", async function() {
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query(true).once().reply(200, { id: session });
+            api.post(`/${Whatsapp.v}/${session}`).matchHeader("file_offset", "0").once().replyWithError("socket hang up");
+            api.get(`/${Whatsapp.v}/${session}`).once().reply(200, { id: session, file_offset: 5 });
+            api.post(`/${Whatsapp.v}/${session}`, "png content").matchHeader("file_offset", "5").once().reply(200, { h: handle });
+
+            assert.equal(await Whatsapp.resumableUpload(app, Buffer.from(file), "image/png"), handle);
+        });
+
+        it("should resume a previous session", async function() {
+            api.get(`/${Whatsapp.v}/${session}`).once().reply(200, { id: session, file_offset: 10 });
+            api.post(`/${Whatsapp.v}/${session}`, "ontent").matchHeader("file_offset", "10").once().reply(200, { h: handle });
+
+            assert.equal(await Whatsapp.resumableUpload(app, Buffer.from(file), "image/png", { session }), handle);
+        });
+
+        it("should read a file path one chunk at a time", async function() {
+            const path = require('path').join(require('os').tmpdir(), `whatsapp-api-js-resumable-${Date.now()}.png`);
+            require('fs').writeFileSync(path, file);
+
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query({ file_name: "file", file_length: "16", file_type: "image/png" }).once().reply(200, { id: session });
+            api.post(`/${Whatsapp.v}/${session}`, "fake png").matchHeader("file_offset", "0").once().reply(200, {});
+            api.post(`/${Whatsapp.v}/${session}`, " content").matchHeader("file_offset", "8").once().reply(200, { h: handle });
+
+            try {
+                assert.equal(await Whatsapp.resumableUpload(app, path, "image/png", { chunkSize: 8 }), handle);
+            } finally {
+                require('fs').unlinkSync(path);
+            }
+        });
+
+        it("should slice the Blobs instead of reading them whole", async function() {
+            const { Blob } = require('buffer');
+            const blob = new Blob([file]);
+            const slice = sinon.spy(blob, "slice");
+            const arrayBuffer = sinon.spy(blob, "arrayBuffer");
+
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query(true).once().reply(200, { id: session });
+            api.post(`/${Whatsapp.v}/${session}`, "fake png").matchHeader("file_offset", "0").once().reply(200, {});
+            api.post(`/${Whatsapp.v}/${session}`, " content").matchHeader("file_offset", "8").once().reply(200, { h: handle });
+
+            assert.equal(await Whatsapp.resumableUpload(app, blob, "image/png", { chunkSize: 8 }), handle);
+
+            sinon.assert.calledTwice(slice);
+            sinon.assert.calledWithExactly(slice.firstCall, 0, 8);
+            sinon.assert.calledWithExactly(slice.secondCall, 8, 16);
+            sinon.assert.notCalled(arrayBuffer);
+        });
+
+        it("should read the streams as they are uploaded if the length is known", async function() {
+            const read = sinon.spy();
+            const stream = (async function* () {
+                for (const chunk of ["fake ", "png ", "content"]) {
+                    read(chunk);
+                    yield chunk;
+                }
+            })();
+            // How many stream chunks were read when each upload chunk was sent
+            const progress = [];
+
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query({ file_name: "file", file_length: "16", file_type: "image/png" }).once().reply(200, { id: session });
+            api.post(`/${Whatsapp.v}/${session}`, "fake").matchHeader("file_offset", "0").once().reply(200, {});
+            api.post(`/${Whatsapp.v}/${session}`, " png").matchHeader("file_offset", "4").once().replyWithError("socket hang up");
+            api.get(`/${Whatsapp.v}/${session}`).once().reply(200, { id: session, file_offset: 6 });
+            api.post(`/${Whatsapp.v}/${session}`, "ng c").matchHeader("file_offset", "6").once().reply(200, {});
+            api.post(`/${Whatsapp.v}/${session}`, "onte").matchHeader("file_offset", "10").once().reply(200, {});
+            api.post(`/${Whatsapp.v}/${session}`, "nt").matchHeader("file_offset", "14").once().reply(200, { h: handle });
+
+            const upload = Whatsapp.resumableUpload(app, stream, "image/png", { length: 16, chunkSize: 4, onProgress: () => progress.push(read.callCount) });
+
+            assert.equal(await upload, handle);
+            assert.deepEqual(progress, [1, 3, 3, 3]);
+        });
+
+        it("should reject if the stream ends before its length", async function() {
+            const { Readable } = require('stream');
+
+            api.post(`/${Whatsapp.v}/${app}/uploads`).query(true).once().reply(200, { id: session });
+            api.post(`/${Whatsapp.v}/${session}`, "fake png").matchHeader("file_offset", "0").once().reply(200, {});
+
+            await assert.rejects(
+                Whatsapp.resumableUpload(app, Readable.from(["fake png"]), "image/png", { length: 16, chunkSize: 8 }),
+                e => /The file ended at 8 bytes, but its length is 16 bytes/.test(e.message) && e.session === session
+            );
+        });
+
+        it("should reject with the session ID if the upload can't be completed", async function() {
+            const Once = new WhatsAppAPI({ token: "YOUR_ACCESS_TOKEN", fetch }).setRetryPolicy(false);
+
+            api.post(`/${Once.v}/${app}/uploads`).query(true).once().reply(200, { id: session });
+            api.post(`/${Once.v}/${session}`).once().replyWithError("socket hang up");
+
+            await assert.rejects(Once.resumableUpload(app, Buffer.from(file), "image/png"), e => e.session === session);
+        });
+
+        it("should fail if the params are invalid", function() {
+            assert.throws(function() {
+                Whatsapp.resumableUpload(undefined, Buffer.from(file), "image/png");
+            });
+
+            assert.throws(function() {
+                Whatsapp.resumableUpload(app, undefined, "image/png");
+            });
+
+            assert.throws(function() {
+                Whatsapp.resumableUpload(app, Buffer.from(file));
+            });
+
+            assert.throws(function() {
+                Whatsapp.resumableUpload(app, Buffer.from(file), "image/png", { chunkSize: 0 });
+            });
+
+            assert.throws(function() {
+                Whatsapp.resumableUpload(app, Buffer.from(file), "image/png", { onProgress: "log" });
+            }, TypeError);
+
+            assert.throws(function() {
+                Whatsapp.createUploadSession(app, 0, "image/png");
             });
         });
     });
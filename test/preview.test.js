@@ -0,0 +1,77 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+
+const preview = require('../preview');
+const TemplateRegistry = require('../registry');
+const { Template, HeaderComponent, BodyComponent, ButtonComponent, Currency, DateTime } = require('../types/template');
+const { TemplateDefinition, HeaderComponentDefinition, BodyComponentDefinition, FooterComponentDefinition, ButtonComponentDefinition, ButtonDefinition } = require('../types/template-definition');
+const { Image } = require('../types/media');
+const Text = require('../types/text');
+
+describe("Preview", function() {
+    const definition = new TemplateDefinition("order_update", "en_US", "UTILITY",
+        new HeaderComponentDefinition("TEXT", "Order {{1}}", "#1234"),
+        new BodyComponentDefinition("Hi {{1}}, you paid {{2}} and it ships on {{3}}", "Jane", "$10.99", "Monday"),
+        new FooterComponentDefinition("Thanks for shopping with us"),
+        new ButtonComponentDefinition(
+            new ButtonDefinition("URL", "Track", "https://example.com/track/{{1}}", "1234"),
+            new ButtonDefinition("PHONE_NUMBER", "Call us", "+16505551234"),
+            new ButtonDefinition("QUICK_REPLY", "Stop updates"),
+        ),
+    );
+
+    it("should render every component with its parameters", function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Text("#1234")),
+            new BodyComponent(new Text("Jane"), new Currency(10990, "USD", "$10.99"), new DateTime("February 25, 1977")),
+            new ButtonComponent("url", "1234"),
+        );
+
+        assert.equal(preview(definition, template), [
+            "*Order #1234*",
+            "Hi Jane, you paid $10.99 and it ships on February 25, 1977",
+            "_Thanks for shopping with us_",
+            "[Track](https://example.com/track/1234)\n[Call us](tel:+16505551234)\n[Stop updates]",
+        ].join("\n\n"));
+    });
+
+    it("should leave the variables without parameters as they are", function() {
+        const template = new Template("order_update", "en_US", new BodyComponent(new Text("Jane")));
+
+        assert.equal(preview(definition, template).split("\n\n")[1], "Hi Jane, you paid {{2}} and it ships on {{3}}");
+    });
+
+    it("should show a placeholder for media headers", function() {
+        const media = {
+            name: "receipt",
+            language: "en_US",
+            components: [{ type: "HEADER", format: "IMAGE" }, { type: "BODY", text: "Here is your receipt" }],
+        };
+
+        const template = new Template("receipt", "en_US", new HeaderComponent(new Image("https://example.com/receipt.png")));
+
+        assert.equal(preview(media, template), "[IMAGE: https://example.com/receipt.png]\n\nHere is your receipt");
+        assert.equal(preview(media, new Template("receipt", "en_US")), "[IMAGE]\n\nHere is your receipt");
+    });
+
+    it("should render a Template with its registered definition", function() {
+        const registry = new TemplateRegistry([definition]);
+        const template = new Template("order_update", "en_US", new HeaderComponent(new Text("#1234")));
+
+        assert.equal(registry.preview(template).split("\n\n")[0], "*Order #1234*");
+
+        assert.throws(function() {
+            registry.preview(new Template("order_update", "es_AR"));
+        });
+    });
+
+    it("should fail if the definition or the template are not provided", function() {
+        assert.throws(function() {
+            preview(undefined, new Template("order_update", "en_US"));
+        });
+
+        assert.throws(function() {
+            preview(definition);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+const sinon = require('sinon');
+
+const SendQueue = require('../queue');
+
+describe("SendQueue", function() {
+    function delay(ms, value) {
+        return new Promise(resolve => setTimeout(() => resolve(value), ms));
+    }
+
+    it("should fail if the rate is not a positive number", function() {
+        assert.throws(function() {
+            new SendQueue(0);
+        });
+
+        assert.throws(function() {
+            new SendQueue(-1);
+        });
+
+        assert.throws(function() {
+            new SendQueue("80");
+        });
+    });
+
+    it("should resolve with the task result", async function() {
+        const queue = new SendQueue(1000);
+
+        assert.equal(await queue.push("1", "2", () => Promise.resolve("sent")), "sent");
+    });
+
+    it("should reject with the task error", async function() {
+        const queue = new SendQueue(1000);
+        const error = new Error("failed");
+
+        await assert.rejects(queue.push("1", "2", () => Promise.reject(error)), e => e === error);
+        await assert.rejects(queue.push("1", "2", () => { throw error; }), e => e === error);
+    });
+
+    it("should limit the messages per second of each phone ID", async function() {
+        const queue = new SendQueue(20);
+        const starts = [];
+        const task = () => starts.push(Date.now());
+
+        await Promise.all([
+            queue.push("1", "2", task),
+            queue.push("1", "3", task),
+            queue.push("1", "4", task),
+        ]);
+
+        // 20 messages per second is one message every 50ms
+        assert.ok(starts[1] - starts[0] >= 45, starts[1] - starts[0]);
+        assert.ok(starts[2] - starts[1] >= 45, starts[2] - starts[1]);
+    });
+
+    it("should not limit different phone IDs between them", async function() {
+        const queue = new SendQueue(1);
+        const starts = [];
+        const task = () => starts.push(Date.now());
+
+        await Promise.all([
+            queue.push("1", "2", task),
+            queue.push("5", "2", task),
+        ]);
+
+        assert.ok(starts[1] - starts[0] < 500);
+    });
+
+    it("should wait for the previous message to the same user", async function() {
+        const queue = new SendQueue(1000);
+        const order = [];
+
+        await Promise.all([
+            queue.push("1", "2", async () => { await delay(30); order.push("first to 2"); }),
+            queue.push("1", "2", async () => { order.push("second to 2"); }),
+            queue.push("1", "3", async () => { order.push("first to 3"); }),
+        ]);
+
+        assert.deepEqual(order, ["first to 3", "first to 2", "second to 2"]);
+    });
+
+    it("should report the queue depth", async function() {
+        const queue = new SendQueue(1000);
+
+        const promises = [
+            queue.push("1", "2", () => delay(10)),
+            queue.push("1", "2", () => delay(10)),
+            queue.push("5", "2", () => delay(10)),
+            queue.push("5", "2", () => delay(10)),
+            queue.push("5", "2", () => delay(10)),
+        ];
+
+        // The first message of each phone ID starts immediately
+        assert.equal(queue.depth("1"), 1);
+        assert.equal(queue.depth("5"), 2);
+        assert.equal(queue.depth(), 3);
+        assert.equal(queue.depth("6"), 0);
+
+        await Promise.all(promises);
+
+        assert.equal(queue.depth(), 0);
+    });
+
+    it("should emit drain once all the messages of a phone ID were sent", async function() {
+        const queue = new SendQueue(1000);
+        const spy = sinon.spy();
+
+        queue.on("drain", spy);
+
+        queue.push("1", "2", () => delay(5));
+        queue.push("1", "3", () => delay(5));
+
+        await new Promise(resolve => queue.on("drain", resolve));
+
+        sinon.assert.calledOnceWithExactly(spy, "1");
+
+        queue.off("drain", spy);
+        await queue.push("1", "2", () => delay(1));
+        await delay(5);
+
+        sinon.assert.calledOnce(spy);
+    });
+
+    it("should keep calling the drain listeners if one throws", async function() {
+        const queue = new SendQueue(1000);
+        const rejections = sinon.spy();
+        process.on("unhandledRejection", rejections);
+
+        try {
+            queue.on("drain", () => { throw new Error("Listener failed"); });
+            const drained = new Promise(resolve => queue.on("drain", resolve));
+
+            await queue.push("1", "2", () => delay(1));
+
+            assert.equal(await drained, "1");
+            await delay(5);
+            sinon.assert.notCalled(rejections);
+        } finally {
+            process.off("unhandledRejection", rejections);
+        }
+    });
+
+    it("should fail to listen to unsupported events or without a callback", function() {
+        const queue = new SendQueue();
+
+        assert.throws(function() {
+            queue.on("error", sinon.fake());
+        });
+
+        assert.throws(function() {
+            queue.on("drain");
+        }, TypeError);
+    });
+});
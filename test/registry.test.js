@@ -0,0 +1,169 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+
+const TemplateRegistry = require('../registry');
+const { Template, HeaderComponent, BodyComponent, ButtonComponent, Currency } = require('../types/template');
+const { Image, Video } = require('../types/media');
+const Text = require('../types/text');
+
+describe("TemplateRegistry", function() {
+    const response = {
+        data: [
+            {
+                name: "order_update",
+                language: "en_US",
+                status: "APPROVED",
+                category: "UTILITY",
+                components: [
+                    { type: "HEADER", format: "IMAGE" },
+                    { type: "BODY", text: "Hi {{1}}, your order of {{2}} ships on {{3}}" },
+                    { type: "BUTTONS", buttons: [
+                        { type: "URL", text: "Track", url: "https://example.com/track/{{1}}" },
+                        { type: "QUICK_REPLY", text: "Stop updates" },
+                    ] },
+                ],
+                id: "1",
+            },
+            {
+                name: "order_update",
+                language: "es_AR",
+                status: "APPROVED",
+                category: "UTILITY",
+                components: [
+                    { type: "HEADER", format: "TEXT", text: "Pedido {{1}}" },
+                    { type: "BODY", text: "Hola!" },
+                ],
+                id: "2",
+            },
+        ],
+        paging: { cursors: { before: "MAZDZD", after: "MjQZD" } },
+    };
+
+    const registry = new TemplateRegistry(response);
+
+    it("should load the templates from the retrieveTemplates response", function() {
+        assert.equal(registry.templates.length, 2);
+        assert.equal(registry.get("order_update", "es_AR").id, "2");
+        assert.equal(registry.get("order_update", "fr_FR"), undefined);
+    });
+
+    it("should load the templates from a JSON file", function() {
+        const fs = require('fs');
+        const path = require('path').join(require('os').tmpdir(), `whatsapp-api-js-templates-${Date.now()}.json`);
+        fs.writeFileSync(path, JSON.stringify(response.data));
+
+        try {
+            assert.deepEqual(TemplateRegistry.fromFile(path).templates, response.data);
+        } finally {
+            fs.unlinkSync(path);
+        }
+    });
+
+    it("should replace a template with the same name and language", function() {
+        const copy = new TemplateRegistry(response).load([{ name: "order_update", language: "en_US", components: [], id: "3" }]);
+
+        assert.equal(copy.templates.length, 2);
+        assert.equal(copy.get("order_update", "en_US").id, "3");
+    });
+
+    it("should accept a template which matches its definition", function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane"), new Currency(10990, "USD", "$10.99"), new Text("Monday")),
+            new ButtonComponent("url", "1234"),
+        );
+
+        assert.doesNotThrow(function() {
+            registry.validate(template);
+        });
+    });
+
+    it("should fail if the template isn't registered", function() {
+        assert.throws(function() {
+            registry.validate(new Template("welcome", "en_US"));
+        }, /not registered/);
+    });
+
+    it("should fail if the language isn't available", function() {
+        assert.throws(function() {
+            registry.validate(new Template("order_update", "fr_FR"));
+        }, /not available in 'fr_FR', only in 'en_US', 'es_AR'/);
+    });
+
+    it("should fail if the number of body parameters is wrong", function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane")),
+            new ButtonComponent("url", "1234"),
+        );
+
+        assert.throws(function() {
+            registry.validate(template);
+        }, /the body has 1 parameters but 3 were expected/);
+    });
+
+    it("should fail if the header media type is wrong", function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Video("https://example.com/order.mp4")),
+            new BodyComponent(new Text("Jane"), new Text("$10.99"), new Text("Monday")),
+            new ButtonComponent("url", "1234"),
+        );
+
+        assert.throws(function() {
+            registry.validate(template);
+        }, /the header parameter is of type 'video' but 'image' was expected/);
+    });
+
+    it("should fail if a text header doesn't have its parameter", function() {
+        assert.throws(function() {
+            registry.validate(new Template("order_update", "es_AR"));
+        }, /the header has 0 parameters but 1 were expected/);
+    });
+
+    it("should fail if the button parameters don't match the buttons", function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane"), new Text("$10.99"), new Text("Monday")),
+            new ButtonComponent("quick_reply", "a", "b", "c"),
+        );
+
+        assert.throws(function() {
+            registry.validate(template);
+        }, e => [
+            "the button at index 0 is not a quick reply button",
+            "there is no button at index 2",
+            "the url button at index 0 needs a parameter",
+        ].every(problem => e.message.includes(problem)));
+    });
+
+    it("should index the buttons of each button component from 0, unless they are sequenced", function() {
+        const template = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane"), new Text("$10.99"), new Text("Monday")),
+            new ButtonComponent("url", "1234"),
+            new ButtonComponent("quick_reply", "stop"),
+        );
+
+        assert.throws(function() {
+            registry.validate(template);
+        }, /the button at index 0 is not a quick reply button/);
+
+        const sequenced = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane"), new Text("$10.99"), new Text("Monday")),
+            ...ButtonComponent.sequence(new ButtonComponent("url", "1234"), new ButtonComponent("quick_reply", "stop")),
+        );
+
+        assert.equal(registry.validate(sequenced), registry);
+
+        const coupon = new Template("order_update", "en_US",
+            new HeaderComponent(new Image("https://example.com/order.png")),
+            new BodyComponent(new Text("Jane"), new Text("$10.99"), new Text("Monday")),
+            ...ButtonComponent.sequence(new ButtonComponent("url", "1234"), new ButtonComponent("copy_code", "SAVE10")),
+        );
+
+        assert.throws(function() {
+            registry.validate(coupon);
+        }, /the button at index 1 is not a copy code button/);
+    });
+});
@@ -4,7 +4,11 @@ const sinon = require('sinon');
 
 const fake = sinon.fake();
 
-const { get, post } = require('../requests');
+const { get, post, verify, verifiedPost } = require('../requests');
+const rewire = require('rewire');
+const requests = rewire('../requests');
+
+const { createHmac, webcrypto } = require('crypto');
 
 const { MessageMock, StatusMock } = require('./requests.mocks');
 
@@ -94,6 +98,28 @@ describe("Requests", function() {
                 assert.equal(response, 200);
             });
 
+            it("should decode the response of the flow replies", function() {
+                const spy = sinon.spy();
+                const response_json = "{\"flow_token\":\"token\",\"date\":\"2024-01-01\"}";
+                const flow = { ...message, type: "interactive", interactive: { type: "nfm_reply", nfm_reply: { name: "flow", body: "Sent", response_json } } };
+                delete flow.text;
+
+                post(new MessageMock(phoneID, phone, flow, name), spy);
+
+                sinon.assert.calledOnce(spy);
+                assert.deepEqual(spy.firstCall.args[2].interactive.nfm_reply, { name: "flow", body: "Sent", response_json, response: { flow_token: "token", date: "2024-01-01" } });
+            });
+
+            it("should keep the flow replies with a malformed response", function() {
+                const spy = sinon.spy();
+                const flow = { ...message, type: "interactive", interactive: { type: "nfm_reply", nfm_reply: { name: "flow", body: "Sent", response_json: "{" } } };
+
+                post(new MessageMock(phoneID, phone, flow, name), spy);
+
+                sinon.assert.calledOnce(spy);
+                assert.equal(spy.firstCall.args[2].interactive.nfm_reply.response, undefined);
+            });
+
             it("should throw TypeError if the request is missing any data", function() {
                 let moddedMock;
 
@@ -102,12 +128,6 @@ describe("Requests", function() {
                     post(moddedMock, fake);
                 }, TypeError);
 
-                moddedMock = new MessageMock(phoneID);
-                assert.throws(function() {
-                    // This is actually unexpected, it should throw error...
-                    post(moddedMock, fake);
-                }, TypeError);
-
                 moddedMock = new MessageMock(phoneID, phone);
                 assert.throws(function() {
                     post(moddedMock, fake);
@@ -164,10 +184,11 @@ describe("Requests", function() {
                     post(moddedMock, fake, fake);
                 }, TypeError);
 
+                // An empty statuses array is a valid batch with nothing to report
                 moddedMock = new StatusMock(phoneID);
-                assert.throws(function() {
+                assert.doesNotThrow(function() {
                     post(moddedMock, fake, fake);
-                }, TypeError);
+                });
 
                 // In conclution, it's pointless. As soon as any of the other parameters are defined,
                 // the code will return undefined for the missing ones, without any error.
@@ -214,4 +235,215 @@ describe("Requests", function() {
             });
         });
     });
+    describe("Batch", function() {
+        const messageA = { from: "2", id: "wamid.A", timestamp: 0, type: "text", text: { body: "A" } };
+        const messageB = { from: "3", id: "wamid.B", timestamp: 0, type: "text", text: { body: "B" } };
+        const messageC = { from: "2", id: "wamid.C", timestamp: 0, type: "text", text: { body: "C" } };
+        const statusA = { id: "wamid.D", recipient_id: "2", status: "sent" };
+        const statusB = { id: "wamid.E", recipient_id: "3", status: "read" };
+
+        const data = {
+            object: "whatsapp_business_account",
+            entry: [
+                {
+                    id: "WHATSAPP_BUSINESS_ACCOUNT_ID",
+                    changes: [
+                        {
+                            field: "messages",
+                            value: {
+                                messaging_product: "whatsapp",
+                                metadata: { display_phone_number: "1", phone_number_id: "1" },
+                                contacts: [
+                                    { wa_id: "3", profile: { name: "Three" } },
+                                    { wa_id: "2", profile: { name: "Two" } },
+                                ],
+                                messages: [ messageA, messageB ],
+                            },
+                        },
+                        {
+                            field: "messages",
+                            value: {
+                                messaging_product: "whatsapp",
+                                metadata: { display_phone_number: "1", phone_number_id: "1" },
+                                statuses: [ statusA, statusB ],
+                            },
+                        },
+                    ],
+                },
+                {
+                    id: "ANOTHER_WHATSAPP_BUSINESS_ACCOUNT_ID",
+                    changes: [
+                        {
+                            field: "messages",
+                            value: {
+                                messaging_product: "whatsapp",
+                                metadata: { display_phone_number: "4", phone_number_id: "4" },
+                                contacts: [ { wa_id: "2", profile: { name: "Two" } } ],
+                                messages: [ messageC ],
+                            },
+                        },
+                    ],
+                },
+            ],
+        };
+
+        it("should call onMessage once per message with the matching contact", function() {
+            const spy = sinon.spy();
+
+            const response = post(data, spy);
+
+            sinon.assert.calledThrice(spy);
+            sinon.assert.calledWithExactly(spy.getCall(0), "1", "2", messageA, "Two", data);
+            sinon.assert.calledWithExactly(spy.getCall(1), "1", "3", messageB, "Three", data);
+            sinon.assert.calledWithExactly(spy.getCall(2), "4", "2", messageC, "Two", data);
+            assert.equal(response, 200);
+        });
+
+        it("should fall back to the only contact if its wa_id doesn't match the sender", function() {
+            const spy = sinon.spy();
+            const message = { from: "5491112345678", id: "wamid.F", timestamp: 0, type: "text", text: { body: "F" } };
+            const mismatched = new MessageMock("1", "541112345678", message, "Argentina");
+
+            post(mismatched, spy);
+
+            sinon.assert.calledOnceWithExactly(spy, "1", "541112345678", message, "Argentina", mismatched);
+        });
+
+        it("should keep calling onMessage after a message without contact", function() {
+            const spy = sinon.spy();
+            const system = { from: "5", id: "wamid.G", timestamp: 0, type: "system", system: { body: "User changed number" } };
+            const unknown = { from: "6", id: "wamid.H", timestamp: 0, type: "text", text: { body: "H" } };
+            const batch = {
+                object: "whatsapp_business_account",
+                entry: [{
+                    id: "WHATSAPP_BUSINESS_ACCOUNT_ID",
+                    changes: [
+                        {
+                            field: "messages",
+                            value: {
+                                messaging_product: "whatsapp",
+                                metadata: { display_phone_number: "1", phone_number_id: "1" },
+                                messages: [ system ],
+                            },
+                        },
+                        {
+                            field: "messages",
+                            value: {
+                                messaging_product: "whatsapp",
+                                metadata: { display_phone_number: "1", phone_number_id: "1" },
+                                contacts: [
+                                    { wa_id: "3", profile: { name: "Three" } },
+                                    { wa_id: "2", profile: { name: "Two" } },
+                                ],
+                                messages: [ unknown, messageA ],
+                            },
+                        },
+                    ],
+                }],
+            };
+
+            post(batch, spy);
+
+            sinon.assert.calledThrice(spy);
+            sinon.assert.calledWithExactly(spy.getCall(0), "1", "5", system, undefined, batch);
+            sinon.assert.calledWithExactly(spy.getCall(1), "1", "6", unknown, undefined, batch);
+            sinon.assert.calledWithExactly(spy.getCall(2), "1", "2", messageA, "Two", batch);
+        });
+
+        it("should call onStatus once per status", function() {
+            const spy = sinon.spy();
+
+            post(data, fake, spy);
+
+            sinon.assert.calledTwice(spy);
+            sinon.assert.calledWithExactly(spy.getCall(0), "1", "2", "sent", "wamid.D", undefined, undefined, data);
+            sinon.assert.calledWithExactly(spy.getCall(1), "1", "3", "read", "wamid.E", undefined, undefined, data);
+        });
+    });
+
+    describe("Signed Post", function() {
+        const app_secret = "secret";
+        const phoneID = "1";
+        const phone = "2";
+        const name = "name";
+        const message = {
+            from: phone,
+            id: "wamid.ID",
+            timestamp: 0,
+            type: "text",
+            text: {
+                body: "message",
+            },
+        };
+        const raw_body = JSON.stringify(new MessageMock(phoneID, phone, message, name));
+        const signature = `sha256=${createHmac("sha256", app_secret).update(raw_body).digest("hex")}`;
+
+        describe("Verify", function() {
+            it("should accept a valid signature", async function() {
+                assert.equal(await verify(raw_body, signature, app_secret), true);
+            });
+
+            it("should accept a valid signature for a binary body", async function() {
+                assert.equal(await verify(Buffer.from(raw_body), signature, app_secret), true);
+            });
+
+            it("should reject a signature made with another secret", async function() {
+                const forged = `sha256=${createHmac("sha256", "wrong").update(raw_body).digest("hex")}`;
+                assert.equal(await verify(raw_body, forged, app_secret), false);
+            });
+
+            it("should reject a tampered body", async function() {
+                assert.equal(await verify(raw_body.replace("message", "massage"), signature, app_secret), false);
+            });
+
+            it("should reject malformed or missing signatures", async function() {
+                assert.equal(await verify(raw_body, "sha256=nope", app_secret), false);
+                assert.equal(await verify(raw_body, undefined, app_secret), false);
+                assert.equal(await verify(raw_body, signature, undefined), false);
+            });
+
+            it("should work with Node's crypto module", async function() {
+                await requests.__with__({ crypto: undefined })(async function() {
+                    assert.equal(await requests.verify(raw_body, signature, app_secret), true);
+                    assert.equal(await requests.verify(raw_body, signature, "wrong"), false);
+                });
+            });
+
+            it("should work with the Web Crypto API", async function() {
+                await requests.__with__({ crypto: webcrypto })(async function() {
+                    assert.equal(await requests.verify(raw_body, signature, app_secret), true);
+                    assert.equal(await requests.verify(raw_body, signature, "wrong"), false);
+                });
+            });
+        });
+
+        it("should verify the request and call back with the right parameters", async function() {
+            const spy = sinon.spy();
+
+            const response = await verifiedPost(raw_body, signature, app_secret, spy);
+
+            sinon.assert.calledOnceWithMatch(spy, phoneID, phone, message, name, JSON.parse(raw_body));
+            assert.equal(response, 200);
+        });
+
+        it("should throw 401 without running any callback if the signature doesn't match", async function() {
+            const spy = sinon.spy();
+
+            await assert.rejects(verifiedPost(raw_body, "sha256=" + "0".repeat(64), app_secret, spy), e => e === 401);
+            await assert.rejects(verifiedPost(raw_body, undefined, app_secret, spy), e => e === 401);
+
+            sinon.assert.notCalled(spy);
+        });
+
+        it("should throw 500 if app_secret is not specified", async function() {
+            await assert.rejects(verifiedPost(raw_body, signature, undefined, fake), e => e === 500);
+        });
+
+        it("should throw 400 if the signed body isn't valid JSON", async function() {
+            const body = "not json";
+            const signed = `sha256=${createHmac("sha256", app_secret).update(body).digest("hex")}`;
+
+            await assert.rejects(verifiedPost(body, signed, app_secret, fake), e => e === 400);
+        });
+    });
 });
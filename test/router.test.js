@@ -0,0 +1,178 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+const sinon = require('sinon');
+
+const Router = require('../router');
+
+const { MessageMock, StatusMock } = require('./requests.mocks');
+
+describe("Router", function() {
+    const phoneID = "1";
+    const phone = "2";
+    const name = "name";
+
+    const text = { from: phone, id: "wamid.ID", timestamp: 0, type: "text", text: { body: "message" } };
+    const button = { from: phone, id: "wamid.ID", timestamp: 0, type: "interactive", interactive: { type: "button_reply", button_reply: { id: "id", title: "title" } } };
+    const list = { from: phone, id: "wamid.ID", timestamp: 0, type: "interactive", interactive: { type: "list_reply", list_reply: { id: "id", title: "title" } } };
+
+    describe("Registration", function() {
+        it("should fail if the event is not specified", function() {
+            assert.throws(function() {
+                new Router().on(undefined, sinon.fake());
+            });
+        });
+
+        it("should fail if the handler is not a function", function() {
+            assert.throws(function() {
+                new Router().on("text");
+            }, TypeError);
+
+            assert.throws(function() {
+                new Router().on("text", "handler");
+            }, TypeError);
+        });
+
+        it("should fail if the fallback or error callback are truthy and not functions", function() {
+            assert.throws(function() {
+                new Router().otherwise(true);
+            }, TypeError);
+
+            assert.throws(function() {
+                new Router().onError("callback");
+            }, TypeError);
+        });
+    });
+
+    describe("Messages", function() {
+        it("should call the handler of the message type with the onMessage parameters", async function() {
+            const spy = sinon.spy();
+            const mock = new MessageMock(phoneID, phone, text, name);
+
+            const response = await new Router().on("text", spy).post(mock);
+
+            sinon.assert.calledOnceWithExactly(spy, phoneID, phone, text, name, mock);
+            assert.equal(response, 200);
+        });
+
+        it("should call every handler registered for the same event", async function() {
+            const first = sinon.spy();
+            const second = sinon.spy();
+
+            await new Router().on("text", first).on("text", second).post(new MessageMock(phoneID, phone, text, name));
+
+            sinon.assert.calledOnce(first);
+            sinon.assert.calledOnce(second);
+        });
+
+        it("should route interactive replies by their subtype", async function() {
+            const buttonSpy = sinon.spy();
+            const listSpy = sinon.spy();
+            const router = new Router().on("interactive.button_reply", buttonSpy).on("interactive.list_reply", listSpy);
+
+            await router.post(new MessageMock(phoneID, phone, button, name));
+            await router.post(new MessageMock(phoneID, phone, list, name));
+
+            sinon.assert.calledOnceWithMatch(buttonSpy, phoneID, phone, button);
+            sinon.assert.calledOnceWithMatch(listSpy, phoneID, phone, list);
+        });
+
+        it("should fall back to the generic interactive handler", async function() {
+            const spy = sinon.spy();
+
+            await new Router().on("interactive", spy).post(new MessageMock(phoneID, phone, list, name));
+
+            sinon.assert.calledOnceWithMatch(spy, phoneID, phone, list);
+        });
+
+        it("should call the fallback if no handler matches", async function() {
+            const spy = sinon.spy();
+            const other = sinon.spy();
+
+            await new Router().on("image", other).otherwise(spy).post(new MessageMock(phoneID, phone, text, name));
+
+            sinon.assert.notCalled(other);
+            sinon.assert.calledOnceWithMatch(spy, phoneID, phone, text, name);
+        });
+    });
+
+    describe("Statuses", function() {
+        const mock = new StatusMock(phoneID, phone, "read", "wamid.ID");
+
+        it("should call the handler of the status with the onStatus parameters", async function() {
+            const spy = sinon.spy();
+            const other = sinon.spy();
+
+            await new Router().on("status.read", spy).on("status", other).post(mock);
+
+            sinon.assert.calledOnceWithMatch(spy, phoneID, phone, "read", "wamid.ID");
+            sinon.assert.notCalled(other);
+        });
+
+        it("should fall back to the generic status handler", async function() {
+            const spy = sinon.spy();
+
+            await new Router().on("status", spy).post(mock);
+
+            sinon.assert.calledOnceWithMatch(spy, phoneID, phone, "read", "wamid.ID");
+        });
+    });
+
+    describe("Errors", function() {
+        const mock = new MessageMock(phoneID, phone, text, name);
+
+        it("should wait for async handlers before resolving", async function() {
+            let done = false;
+
+            await new Router().on("text", async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                done = true;
+            }).post(mock);
+
+            assert.equal(done, true);
+        });
+
+        it("should collect the errors and still resolve with 200", async function() {
+            const error = new Error("sync");
+            const rejection = new Error("async");
+            const spy = sinon.spy();
+            const handler = sinon.spy();
+
+            const response = await new Router()
+                .on("text", () => { throw error; })
+                .on("text", async () => { throw rejection; })
+                .on("text", handler)
+                .onError(spy)
+                .post(mock);
+
+            assert.equal(response, 200);
+            sinon.assert.calledOnce(handler);
+            sinon.assert.calledOnceWithExactly(spy, [error, rejection], mock);
+        });
+
+        it("should keep the falsy rejections and still resolve with 200 if onError throws", async function() {
+            const spy = sinon.spy();
+
+            assert.equal(await new Router().on("text", () => Promise.reject(undefined)).onError(spy).post(mock), 200);
+            sinon.assert.calledOnceWithExactly(spy, [undefined], mock);
+
+            const response = await new Router()
+                .on("text", () => { throw new Error("handler"); })
+                .onError(async () => { throw new Error("callback"); })
+                .post(mock);
+
+            assert.equal(response, 200);
+        });
+
+        it("should not call onError if every handler succeeds", async function() {
+            const spy = sinon.spy();
+
+            await new Router().on("text", sinon.fake()).onError(spy).post(mock);
+
+            sinon.assert.notCalled(spy);
+        });
+
+        it("should throw 400 if the request isn't valid", async function() {
+            await assert.rejects(new Router().post({}), e => e === 400);
+        });
+    });
+});
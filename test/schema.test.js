@@ -0,0 +1,317 @@
+// Unit tests with mocha and sinon
+const assert = require('assert');
+
+const { validate } = require('../schema');
+const { ValidationError } = require('../errors');
+const { Request } = require('../fetch');
+
+const { Interactive, ActionButtons, ActionList, ActionCatalog, ActionCTA, ActionLocation, ActionFlow, Footer, ListSection, ProductSection, Product, Button, Row, Body, Header } = require('../types/interactive');
+const { Template, Language, HeaderComponent, BodyComponent, ButtonComponent, Currency, CarouselComponent, CarouselCard, LTOComponent, CatalogAction } = require('../types/template');
+const { Image } = require('../types/media');
+const Location = require('../types/location');
+const Text = require('../types/text');
+
+describe("Schema", function() {
+    describe("validate", function() {
+        it("should return no violations for a valid request", function() {
+            assert.deepEqual(validate(new Request(new Text("Hello"), "1", "wamid.ID")), []);
+            assert.deepEqual(validate(new Request(new Interactive(new ActionButtons(new Button("yes", "Yes")), new Body("Sure?")), "1")), []);
+        });
+
+        it("should return every violation with its JSON path", function() {
+            const request = {
+                messaging_product: "whatsapp",
+                type: "interactive",
+                to: "1",
+                interactive: {
+                    type: "button",
+                    body: { text: "" },
+                    action: {
+                        buttons: [
+                            { type: "reply", reply: { id: " yes", title: "A title way over twenty characters" } },
+                        ],
+                    },
+                },
+            };
+
+            assert.deepEqual(validate(request), [
+                { path: "$.interactive.body.text", message: "can't be empty" },
+                { path: "$.interactive.action.buttons[0].reply.id", message: "can't have leading or trailing spaces" },
+                { path: "$.interactive.action.buttons[0].reply.title", message: "must be 20 characters or less" },
+            ]);
+        });
+
+        it("should check the required properties and their types", function() {
+            assert.deepEqual(validate({ messaging_product: "whatsapp", type: "location", location: { longitude: "0", latitude: 91 } }), [
+                { path: "$.to", message: "is required" },
+                { path: "$.location.longitude", message: "must be a number" },
+                { path: "$.location.latitude", message: "must be 90 or less" },
+            ]);
+        });
+
+        it("should reject the unknown message types", function() {
+            assert.deepEqual(validate({ messaging_product: "whatsapp", type: "fax", to: "1" }), [
+                { path: "$.type", message: "must be one of 'text', 'audio', 'document', 'image', 'sticker', 'video', 'location', 'contacts', 'interactive', 'template', 'reaction'" },
+            ]);
+        });
+
+        it("should check the template parameters by component", function() {
+            const request = {
+                messaging_product: "whatsapp",
+                type: "template",
+                to: "1",
+                template: {
+                    name: "order_update",
+                    language: { code: "en_US", policy: "fallback" },
+                    components: [
+                        { type: "header", parameters: [{ type: "text", text: "x".repeat(61) }] },
+                        { type: "button", sub_type: "call", index: "0", parameters: [{ type: "payload", payload: "stop" }] },
+                    ],
+                },
+            };
+
+            assert.deepEqual(validate(request), [
+                { path: "$.template.language.policy", message: "must be one of 'deterministic'" },
+                { path: "$.template.components[0].parameters[0].text", message: "must be 60 characters or less" },
+                { path: "$.template.components[1].sub_type", message: "must be one of 'url', 'quick_reply', 'copy_code', 'catalog', 'mpm'" },
+            ]);
+        });
+
+        it("should require an id or a link in the medias", function() {
+            assert.deepEqual(validate({ messaging_product: "whatsapp", type: "image", to: "1", image: { caption: "A cat" } }), [
+                { path: "$.image", message: "must have either an id or a link" },
+            ]);
+        });
+    });
+
+    describe("Constructors", function() {
+        it("should throw a ValidationError with all the violations", function() {
+            assert.throws(function() {
+                new Text("x".repeat(4097));
+            }, error => error instanceof ValidationError && error.violations.length === 1 && error.violations[0].path === "$.body");
+
+            assert.throws(function() {
+                new Button("", "x".repeat(30));
+            }, error => {
+                assert.ok(error instanceof ValidationError);
+                assert.deepEqual(error.violations, [
+                    { path: "$.reply.id", message: "can't be empty" },
+                    { path: "$.reply.title", message: "must be 20 characters or less" },
+                ]);
+                return true;
+            });
+
+            assert.throws(function() {
+                new Row(undefined, "x".repeat(25), "x".repeat(73));
+            }, /Row doesn't match the API schema: \$\.id is required; \$\.title must be 24 characters or less; \$\.description must be 72 characters or less/);
+
+            assert.throws(function() {
+                new ActionList("x".repeat(21), new ListSection(undefined, new Row("1", "One")), new ListSection("Two", new Row("2", "Two")));
+            }, /ActionList doesn't match the API schema: \$\.button must be 20 characters or less; \$\.sections must all have a title if there are more than 1/);
+
+            assert.throws(function() {
+                new Image("https://example.com/cat.png", false, "x".repeat(1025));
+            }, /\$\.caption must be 1024 characters or less/);
+        });
+
+        it("should accept 0 as a coordinate", function() {
+            assert.doesNotThrow(function() {
+                new Location(0, 0);
+            });
+
+            assert.throws(function() {
+                new Location(0);
+            }, /\$\.latitude is required/);
+        });
+
+        it("should accept the coordinates as strings", function() {
+            const location = new Location("-58.4", "-34.6");
+            assert.equal(location.longitude, -58.4);
+            assert.equal(location.latitude, -34.6);
+
+            assert.throws(function() {
+                new Location("west", "");
+            }, /\$\.longitude must be a number; \$\.latitude must be a number/);
+        });
+
+        it("should check the length of the header texts", function() {
+            assert.throws(function() {
+                new Header(new Text("x".repeat(61)));
+            }, /Header doesn't match the API schema: \$\.text must be 60 characters or less/);
+
+            assert.throws(function() {
+                new HeaderComponent(new Text("x".repeat(61)));
+            }, /HeaderComponent doesn't match the API schema: \$\.parameters\[0\]\.text must be 60 characters or less/);
+
+            assert.throws(function() {
+                new BodyComponent(new Text("x".repeat(1025)), new Currency(1000, "usd", "$1"));
+            }, /BodyComponent doesn't match the API schema: \$\.parameters\[0\]\.text must be 1024 characters or less; \$\.parameters\[1\]\.currency\.code must match/);
+        });
+
+        it("should accept rows without description", function() {
+            assert.doesNotThrow(function() {
+                new Interactive(new ActionList("Pick", new ListSection(undefined, new Row("1", "One"))), new Body("Pick one"));
+            });
+        });
+
+        it("should require a text header for the product lists", function() {
+            assert.throws(function() {
+                new Interactive(new ActionCatalog("1", new ProductSection("Section", new Product("2"))), new Body("Pick one"));
+            }, /Interactive doesn't match the API schema: \$\.header is required/);
+
+            assert.throws(function() {
+                new Interactive(new ActionCatalog("1", new ProductSection("Section", new Product("2"))), undefined, new Header(new Image("https://example.com/cat.png")));
+            }, /Interactive doesn't match the API schema: \$\.header must be a text header if the action is a product list; \$\.body is required/);
+
+            assert.throws(function() {
+                new Interactive(new ActionCatalog("1", new Product("2")), undefined, new Header(new Text("Shoes")));
+            }, /Interactive doesn't match the API schema: \$\.header must not be set if the action is a single product/);
+        });
+
+        it("should report every violation of the bodies, footers and sections", function() {
+            assert.throws(function() {
+                new Body("x".repeat(1025));
+            }, /Body doesn't match the API schema: \$\.text must be 1024 characters or less/);
+
+            assert.throws(function() {
+                new Footer("");
+            }, /Footer doesn't match the API schema: \$\.text can't be empty/);
+
+            assert.throws(function() {
+                new ListSection("x".repeat(25));
+            }, /ListSection doesn't match the API schema: \$\.title must be 24 characters or less; \$\.rows must have at least 1 items/);
+
+            assert.throws(function() {
+                new ProductSection("x".repeat(25), ...Array.from({ length: 31 }, (e, i) => new Product(String(i))));
+            }, /ProductSection doesn't match the API schema: \$\.title must be 24 characters or less; \$\.product_items must have 30 items or less/);
+
+            assert.throws(function() {
+                new ActionCatalog(undefined, new ProductSection(undefined, new Product("1")), new ProductSection("Hats", new Product("2")));
+            }, /ActionCatalog doesn't match the API schema: \$\.catalog_id is required; \$\.sections must all have a title if there are more than 1/);
+        });
+
+        it("should check the call to action url buttons", function() {
+            assert.throws(function() {
+                new ActionCTA("A text way over twenty characters", "example.com");
+            }, /ActionCTA doesn't match the API schema: \$\.parameters\.display_text must be 20 characters or less; \$\.parameters\.url must match/);
+
+            assert.throws(function() {
+                new Interactive(new ActionCTA("Track", "https://example.com"));
+            }, /Interactive doesn't match the API schema: \$\.body is required/);
+        });
+
+        it("should not allow a header or footer in the location requests", function() {
+            assert.throws(function() {
+                new Interactive(new ActionLocation(), new Body("Where are you?"), new Header(new Text("Delivery")), new Footer("Thanks"));
+            }, /Interactive doesn't match the API schema: \$\.header must not be set if the action is a location request; \$\.footer must not be set if the action is a location request/);
+
+            assert.deepEqual(validate({
+                messaging_product: "whatsapp",
+                type: "interactive",
+                to: "1",
+                interactive: { type: "location_request_message", footer: { text: "Thanks" }, action: { name: "send_location" } },
+            }), [
+                { path: "$.interactive.body", message: "is required" },
+                { path: "$.interactive.footer", message: "must not be set if the action is a location request" },
+            ]);
+        });
+
+        it("should check the flows", function() {
+            assert.throws(function() {
+                new ActionFlow({ flow_id: "1" }, "A flow_cta way over the thirty characters limit", undefined, "open");
+            }, /ActionFlow doesn't match the API schema: \$\.parameters\.flow_cta must be 30 characters or less; \$\.parameters\.flow_action must be one of 'navigate', 'data_exchange'/);
+
+            assert.throws(function() {
+                new ActionFlow({ flow_id: "1" }, "Book!");
+            }, /\$\.parameters must have a flow_action_payload if flow_action is 'navigate'/);
+
+            assert.throws(function() {
+                new ActionFlow({ flow_id: "1" }, "Book!", undefined, "data_exchange", "SCREEN");
+            }, /\$\.parameters can't have a flow_action_payload if flow_action is 'data_exchange'/);
+
+            assert.throws(function() {
+                new ActionFlow({ flow_id: "1" }, "Book!", undefined, "navigate", "SCREEN", {});
+            }, /\$\.parameters\.flow_action_payload\.data must have at least one property/);
+
+            assert.throws(function() {
+                new ActionFlow("1", "Book!", undefined, "navigate", "SCREEN");
+            }, /\$\.parameters must have either a flow_id or a flow_name/);
+
+            assert.throws(function() {
+                new ActionFlow({ flow_id: "1", flow_name: "appointments" }, "", undefined, "navigate", "SCREEN");
+            }, /\$\.parameters must have either a flow_id or a flow_name; \$\.parameters\.flow_cta can't be empty/);
+
+            assert.throws(function() {
+                new Interactive(new ActionFlow({ flow_id: "1" }, "Book!", undefined, "navigate", "SCREEN"));
+            }, /Interactive doesn't match the API schema: \$\.body is required/);
+        });
+
+        it("should send the flows named only with digits by name", function() {
+            assert.deepEqual(new ActionFlow({ flow_name: "2024" }, "Book!", undefined, "navigate", "SCREEN").parameters.flow_name, "2024");
+        });
+
+        it("should only accept the deterministic language policy", function() {
+            assert.equal(new Language("en_US").policy, "deterministic");
+            assert.equal(new Language("en_US", "deterministic").policy, "deterministic");
+
+            assert.throws(function() {
+                new Language("en_US", "fallback");
+            }, /Language policy must be 'deterministic'/);
+        });
+
+        it("should check the new button sub types", function() {
+            assert.throws(function() {
+                new ButtonComponent("call", "1");
+            }, /ButtonComponent sub_type must be either 'url', 'quick_reply', 'copy_code', 'catalog' or 'mpm'/);
+
+            assert.throws(function() {
+                new ButtonComponent("copy_code", "A_VERY_LONG_COUPON");
+            }, /ButtonParameter doesn't match the API schema: \$\.coupon_code must be 15 characters or less/);
+
+            assert.throws(function() {
+                new ButtonComponent("copy_code", "SAVE10", "SAVE20");
+            }, /ButtonComponent can only have 1 parameter if sub_type is 'copy_code'/);
+
+            assert.throws(function() {
+                new ButtonComponent("mpm", new CatalogAction("sku-1"));
+            }, /must be a CatalogAction with sections if sub_type is 'mpm'/);
+
+            assert.throws(function() {
+                new CatalogAction("sku-1", new ProductSection(undefined, new Product("1")), new ProductSection("Hats", new Product("2")));
+            }, /All sections must have a title/);
+        });
+
+        it("should check the carousels and limited time offers", function() {
+            assert.throws(function() {
+                new CarouselComponent();
+            }, /CarouselComponent must have between 1 and 10 cards/);
+
+            assert.throws(function() {
+                new CarouselCard(new Text("Shoes"));
+            }, /CarouselCard header must be an Image or a Video/);
+
+            assert.throws(function() {
+                new LTOComponent("tomorrow");
+            }, /LTOComponent expiration_time_ms must be a positive integer/);
+
+            assert.deepEqual(validate({
+                messaging_product: "whatsapp",
+                type: "template",
+                to: "1",
+                template: {
+                    name: "carousel",
+                    language: { code: "en_US", policy: "deterministic" },
+                    components: [{ type: "carousel", cards: [{ card_index: 0, components: [{ type: "button", sub_type: "copy_code", index: "0", parameters: [{ type: "coupon_code", coupon_code: "" }] }] }] }],
+                },
+            }), [
+                { path: "$.template.components[0].cards[0].components[0].parameters[0].coupon_code", message: "can't be empty" },
+            ]);
+        });
+
+        it("should validate the whole template", function() {
+            assert.throws(function() {
+                new Template("x".repeat(513), "en_US");
+            }, /\$\.name must be 512 characters or less/);
+        });
+    });
+});
@@ -0,0 +1,19 @@
+/**
+ * Base class for the message types, which keep their type in an internal property
+ *
+ * @property {String} _ The type of the object, for internal use only
+ */
+class ClientMessage {
+    /**
+     * Get the API object of the message, without the internal properties.
+     * It's called by Request and JSON.stringify.
+     *
+     * @returns {Object} The message object, as the API expects it
+     */
+    toJSON() {
+        const { _, ...json } = this;
+        return json;
+    }
+}
+
+module.exports = ClientMessage;
@@ -0,0 +1,86 @@
+/**
+ * The supported business categories
+ *
+ * @package
+ * @ignore
+ * @type {Array<String>}
+ */
+const VERTICALS = [
+    "UNDEFINED", "OTHER", "AUTO", "BEAUTY", "APPAREL", "EDU", "ENTERTAIN", "EVENT_PLAN", "FINANCE", "GROCERY",
+    "GOVT", "HOTEL", "HEALTH", "NONPROFIT", "PROF_SERVICES", "RETAIL", "TRAVEL", "RESTAURANT", "NOT_A_BIZ",
+];
+
+/**
+ * Business profile API object
+ *
+ * @property {String} [about] The text of the business' About section
+ * @property {String} [address] The address of the business
+ * @property {String} [description] The description of the business
+ * @property {String} [email] The contact email of the business
+ * @property {Array<String>} [websites] The websites of the business
+ * @property {String} [vertical] The category of the business
+ * @property {String} [profile_picture_handle] The handle of the new profile picture, uploaded with the resumable upload API
+ */
+class BusinessProfile {
+    /**
+     * Create a BusinessProfile object for the API. Only the specified fields are updated.
+     *
+     * @param {Object} fields The fields to update
+     * @param {String} [fields.about] The text of the business' About section. Maximum length: 139 characters.
+     * @param {String} [fields.address] The address of the business. Maximum length: 256 characters.
+     * @param {String} [fields.description] The description of the business. Maximum length: 512 characters.
+     * @param {String} [fields.email] The contact email of the business. Maximum length: 128 characters.
+     * @param {Array<String>} [fields.websites] Up to 2 websites of the business, including the http:// or https:// prefix. Maximum length: 256 characters each.
+     * @param {String} [fields.vertical] The category of the business, such as 'RETAIL' or 'RESTAURANT'
+     * @param {String} [fields.profile_picture_handle] The handle of the new profile picture, uploaded with the resumable upload API
+     * @throws {Error} If no field is provided
+     * @throws {Error} If about, address, description or email are over their maximum length
+     * @throws {Error} If email is not a valid email address
+     * @throws {Error} If websites has over 2 elements, or any of them is over 256 characters or doesn't start with http:// or https://
+     * @throws {Error} If vertical is not a supported category
+     */
+    constructor({ about, address, description, email, websites, vertical, profile_picture_handle } = {}) {
+        if ([about, address, description, email, websites, vertical, profile_picture_handle].every(e => e === undefined)) throw new Error("BusinessProfile must have at least one field");
+
+        if (about !== undefined) {
+            if (!about || about.length > 139) throw new Error("BusinessProfile about must be between 1 and 139 characters");
+            this.about = about;
+        }
+
+        if (address !== undefined) {
+            if (address.length > 256) throw new Error("BusinessProfile address must be 256 characters or less");
+            this.address = address;
+        }
+
+        if (description !== undefined) {
+            if (description.length > 512) throw new Error("BusinessProfile description must be 512 characters or less");
+            this.description = description;
+        }
+
+        if (email !== undefined) {
+            if (email.length > 128) throw new Error("BusinessProfile email must be 128 characters or less");
+            if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error("BusinessProfile email must be a valid email address");
+            this.email = email;
+        }
+
+        if (websites !== undefined) {
+            if (!Array.isArray(websites)) throw new Error("BusinessProfile websites must be an array");
+            if (websites.length > 2) throw new Error("BusinessProfile can only have up to 2 websites");
+            if (websites.some(e => e.length > 256)) throw new Error("BusinessProfile websites must be 256 characters or less");
+            if (websites.some(e => !/^https?:\/\//.test(e))) throw new Error("BusinessProfile websites must start with http:// or https://");
+            this.websites = websites;
+        }
+
+        if (vertical !== undefined) {
+            if (!VERTICALS.includes(vertical)) throw new Error(`BusinessProfile vertical must be one of ${VERTICALS.join(", ")}`);
+            this.vertical = vertical;
+        }
+
+        if (profile_picture_handle !== undefined) {
+            if (!profile_picture_handle) throw new Error("BusinessProfile profile_picture_handle can't be empty");
+            this.profile_picture_handle = profile_picture_handle;
+        }
+    }
+}
+
+module.exports = BusinessProfile;
@@ -1,10 +1,14 @@
+const { check } = require('../schema');
+const ClientMessage = require('./base');
+
 /**
  * Contacts API object
  * 
+ * @extends ClientMessage
  * @property {Array<Object>} contacts The contacts of the message
  * @property {String} _ The type of the object, for internal use only
  */
-class Contacts {
+class Contacts extends ClientMessage {
     /**
      * Create a Contacts object for the API
      * 
@@ -13,8 +17,10 @@ class Contacts {
      * @throws {Error} If contact contains more than one name component
      * @throws {Error} If contact contains more than one birthday component
      * @throws {Error} If contact contains more than one organization component
+     * @throws {ValidationError} If a contact doesn't match the API schema
      */
     constructor(...contact) {
+        super();
         if (!contact.length) throw new Error("Contacts must have at least one contact");
 
         this.contacts = [];
@@ -41,6 +47,17 @@ class Contacts {
         }
 
         this._ = "contacts";
+
+        check("contacts", this, "Contacts");
+    }
+
+    /**
+     * Get the API object of the message. The API expects the contacts array itself instead of an object.
+     * 
+     * @returns {Array<Object>} The contacts array
+     */
+    toJSON() {
+        return this.contacts;
     }
 }
 
@@ -1,33 +1,33 @@
 const Text = require("./text");
 const { Image, Document, Video } = require("./media");
+const { check } = require("../schema");
+const ClientMessage = require("./base");
 
 /**
  * Interactive API object
  * 
- * @property {(ActionList|ActionButtons)} action The action component of the interactive message
+ * @extends ClientMessage
+ * @property {(ActionList|ActionButtons|ActionCatalog|ActionCTA|ActionLocation|ActionFlow)} action The action component of the interactive message
  * @property {Body} body The body component of the interactive message
  * @property {Header} [header] The header component of the interactive message
  * @property {Footer} [footer] The footer component of the interactive message
  * @property {String} _ The type of the interactive message, for internal use only
  */
-class Interactive {
+class Interactive extends ClientMessage {
     /**
      * Create an Interactive object for the API
      * 
-     * @param {(ActionList|ActionButtons|ActionCatalog)} action The action component of the interactive message
+     * @param {(ActionList|ActionButtons|ActionCatalog|ActionCTA|ActionLocation|ActionFlow)} action The action component of the interactive message
      * @param {Body} body The body component of the interactive message
      * @param {Header} [header] The header component of the interactive message
      * @param {Footer} [footer] The footer component of the interactive message
      * @throws {Error} If action is not provided
-     * @throws {Error} If body is not provided, unless action is an ActionCatalog with a single product
-     * @throws {Error} If header is provided for an ActionCatalog with a single product
-     * @throws {Error} If header of type Text is not provided for an ActionCatalog with a product list
+     * @throws {ValidationError} If the message doesn't match the API schema, such as a missing body (only a single product can go without it),
+     * a header for a single product, a product list without a Text header, or an ActionLocation with a header or footer
      */
     constructor(action, body, header, footer) {
+        super();
         if (!action) throw new Error("Interactive must have an action component");
-        if (action._ !== "product" && !body) throw new Error("Interactive must have a body component");
-        if (action._ === "product" && header) throw new Error("Interactive must not have a header component if action is a single product");
-        if (action._ === "product_list" && header.type !== "text") throw new Error("Interactive must have a Text header component if action is a product list");
 
         this.type = action._;
         delete action._;
@@ -38,6 +38,8 @@ class Interactive {
         if (footer) this.footer = footer;
 
         this._ = "interactive";
+
+        check("interactive", this, "Interactive");
     }
 }
 
@@ -51,14 +53,12 @@ class Body {
      * Builds a body component for an Interactive message
      * 
      * @param {String} text The text of the message. Maximum length: 1024 characters.
-     * @throws {Error} If text is not provided
-     * @throws {Error} If text is over 1024 characters
+     * @throws {ValidationError} If text is not provided or is over 1024 characters
      */
     constructor(text) {
-        if (!text) throw new Error("Body must have a text object");
-        if (text.length > 1024) throw new Error("Body text must be less than 1024 characters");
-
         this.text = text;
+
+        check("interactive_body", this, "Body");
     }
 }
 
@@ -72,14 +72,12 @@ class Footer {
      * Builds a footer component for an Interactive message
      * 
      * @param {String} text Text of the footer. Maximum length: 60 characters.
-     * @throws {Error} If text is not provided
-     * @throws {Error} If text is over 60 characters
+     * @throws {ValidationError} If text is not provided or is over 60 characters
      */
     constructor(text) {
-        if (!text) throw new Error("Footer must have a text object");
-        if (text.length > 60) throw new Error("Footer text must be 60 characters or less");
-
         this.text = text;
+
+        check("interactive_footer", this, "Footer");
     }
 }
 
@@ -98,21 +96,19 @@ class Header {
      * 
      * @param {(Document|Image|Text|Video)} object The message object for the header
      * @throws {Error} If object is not provided
-     * @throws {Error} If object is not a Document, Image, Text, or Video
-     * @throws {Error} If object is a Text and is over 60 characters
+     * @throws {ValidationError} If object is not a Document, Image, Text, or Video, or is a Text over 60 characters
      */
     constructor(object) {
         if (!object) throw new Error("Header must have an object");
-        if (!["text", "video", "image", "document"].includes(object._)) throw new Error(`Header object must be either Text, Video, Image or Document.`);
 
         this.type = object._;
         delete object._;
 
         // Text type can go to hell
-        if (this.type === "text") {
-            if (object.body > 60) throw new Error("Header text must be 60 characters or less");
-            this[this.type] = object.body;
-        } else this[this.type] = object;
+        if (this.type === "text") this[this.type] = object.body;
+        else this[this.type] = object;
+
+        check("interactive_header", this, "Header");
     }
 }
 
@@ -160,23 +156,17 @@ class Button {
      * 
      * @param {String} id Unique identifier for your button. It cannot have leading or trailing spaces. This ID is returned in the webhook when the button is clicked by the user. Maximum length: 256 characters.
      * @param {String} title Button title. It cannot be an empty string and must be unique within the message. Emojis are supported, markdown is not. Maximum length: 20 characters.
-     * @throws {Error} If id is not provided
-     * @throws {Error} If id is over 256 characters
-     * @throws {Error} If title is not provided
-     * @throws {Error} If title is over 20 characters
+     * @throws {ValidationError} If id is not provided, is over 256 characters or has leading or trailing spaces
+     * @throws {ValidationError} If title is not provided or is over 20 characters
      */
     constructor(id, title) {
-        if (!id) throw new Error("Button must have an id");
-        if (id.length > 256) throw new Error("Button id must be 256 characters or less");
-        if (/^ | $/.test(id)) throw new Error("Button id cannot have leading or trailing spaces");
-        if (!title) throw new Error("Button must have a title");
-        if (title.length > 20) throw new Error("Button title must be 20 characters or less");
-
         this.type = "reply";
         this[this.type] = {
             title,
             id
         };
+
+        check("reply_button", this, "Button");
     }
 }
 
@@ -194,20 +184,16 @@ class ActionList {
      * 
      * @param {String} button Button content. It cannot be an empty string and must be unique within the message. Emojis are supported, markdown is not. Maximum length: 20 characters.
      * @param  {...ListSection} sections Sections of the list
-     * @throws {Error} If button is not provided
-     * @throws {Error} If button is over 20 characters
-     * @throws {Error} If no sections are provided or are over 10
-     * @throws {Error} If more than 1 section is provided and at least one doesn't have a title
+     * @throws {ValidationError} If button is not provided or is over 20 characters
+     * @throws {ValidationError} If no sections are provided or are over 10
+     * @throws {ValidationError} If more than 1 section is provided and at least one doesn't have a title
      */
     constructor(button, ...sections) {
-        if (!button) throw new Error("Action must have a button content");
-        if (button.length > 20) throw new Error("Button content must be 20 characters or less");
-        if (!sections.length || sections.length > 10) throw new Error("Action must have between 1 and 10 sections");
-        if (sections.length > 1 && !sections.every(obj => obj.hasOwnProperty("title"))) throw new Error("All sections must have a title if more than 1 section is provided");
-
         this._ = "list";
         this.button = button;
         this.sections = sections;
+
+        check("list_action", this, "ActionList");
     }
 }
 
@@ -223,15 +209,14 @@ class ListSection {
      * 
      * @param {String} title Title of the section, only required if there are more than one section
      * @param {...Row} rows Rows of the section
-     * @throws {Error} If title is over 24 characters if provided
-     * @throws {Error} If no rows are provided or are over 10
+     * @throws {ValidationError} If title is over 24 characters if provided
+     * @throws {ValidationError} If no rows are provided or are over 10
      */
     constructor(title, ...rows) {
-        if (title && title.length > 24) throw new Error("Section title must be 24 characters or less");
-        if (!rows.length || rows.length > 10) throw new Error("Section must have between 1 and 10 rows");
-
         if (title) this.title = title;
         this.rows = rows;
+
+        check("list_section", this, "ListSection");
     }
 }
 
@@ -249,22 +234,123 @@ class Row {
      * @param {String} id The id of the row. Maximum length: 200 characters.
      * @param {String} title The title of the row. Maximum length: 24 characters.
      * @param {String} [description] The description of the row. Maximum length: 72 characters.
-     * @throws {Error} If id is not provided
-     * @throws {Error} If id is over 200 characters
-     * @throws {Error} If title is not provided
-     * @throws {Error} If title is over 24 characters
-     * @throws {Error} If description is over 72 characters
+     * @throws {ValidationError} If id is not provided or is over 200 characters
+     * @throws {ValidationError} If title is not provided or is over 24 characters
+     * @throws {ValidationError} If description is over 72 characters
      */
     constructor(id, title, description) {
-        if (!id) throw new Error("Row must have an id");
-        if (id.length > 200) throw new Error("Row id must be 200 characters or less");
-        if (!title) throw new Error("Row must have a title");
-        if (title.length > 24) throw new Error("Row title must be 24 characters or less");
-        if (description.length > 72) throw new Error("Row description must be 72 characters or less");
-
         this.id = id;
         this.title = title;
         if (description) this.description = description;
+
+        check("row", this, "Row");
+    }
+}
+
+/**
+ * Action API object
+ * 
+ * @property {String} name The name of the action
+ * @property {String} parameters.display_text The text of the button
+ * @property {String} parameters.url The url the button opens
+ * @property {String} _ The type of the action, for internal use only
+ */
+class ActionCTA {
+    /**
+     * Builds a call to action url button component for an Interactive message
+     * 
+     * @param {String} display_text The text of the button. Maximum length: 20 characters.
+     * @param {String} url The url to open when the button is clicked, including the http:// or https:// prefix
+     * @throws {ValidationError} If display_text is not provided or is over 20 characters
+     * @throws {ValidationError} If url is not provided or doesn't start with http:// or https://
+     */
+    constructor(display_text, url) {
+        this.name = "cta_url";
+        this.parameters = {
+            display_text,
+            url
+        };
+        this._ = "cta_url";
+
+        check("cta_action", this, "ActionCTA");
+    }
+}
+
+/**
+ * Action API object
+ * 
+ * @property {String} name The name of the action
+ * @property {String} _ The type of the action, for internal use only
+ */
+class ActionLocation {
+    /**
+     * Builds a location request component for an Interactive message.
+     * The user gets a button to share their location, which arrives as a location message.
+     * The Interactive must have a body, and can't have a header nor a footer.
+     */
+    constructor() {
+        this.name = "send_location";
+        this._ = "location_request_message";
+    }
+}
+
+/**
+ * Action API object
+ * 
+ * @property {String} name The name of the action
+ * @property {Object} parameters The parameters of the flow
+ * @property {String} parameters.flow_message_version The version of the flow messages, always '3'
+ * @property {String} [parameters.flow_id] The id of the flow
+ * @property {String} [parameters.flow_name] The name of the flow
+ * @property {String} parameters.flow_cta The text of the button
+ * @property {String} [parameters.flow_token] The token of the flow, sent back on the data exchange requests and the flow reply
+ * @property {String} parameters.flow_action The action of the flow
+ * @property {{ screen: String, data: Object }} [parameters.flow_action_payload] The first screen of the flow and its data
+ * @property {String} [parameters.mode] The mode of the flow
+ * @property {String} _ The type of the action, for internal use only
+ */
+class ActionFlow {
+    /**
+     * Builds a flow component for an Interactive message
+     * 
+     * @param {({ flow_id: String }|{ flow_name: String })} flow The id or the name of the flow, such as { flow_id: "1234567890" } or { flow_name: "appointments" }
+     * @param {String} flow_cta The text of the button which opens the flow. Maximum length: 30 characters.
+     * @param {String} [flow_token] The token of the flow, generated by the business to identify the user session
+     * @param {String} [flow_action] The action of the flow. Can be either 'navigate' or 'data_exchange'. Defaults to 'navigate'.
+     * @param {String} [screen] The id of the first screen, required if flow_action is 'navigate'
+     * @param {Object} [data] The input data of the first screen, only if flow_action is 'navigate'
+     * @param {String} [mode] The mode of the flow. Can be either 'draft' or 'published'. Defaults to 'published'.
+     * @throws {ValidationError} If flow doesn't have either a flow_id or a flow_name
+     * @throws {ValidationError} If flow_cta is not provided or is over 30 characters
+     * @throws {ValidationError} If flow_action is not either 'navigate' or 'data_exchange'
+     * @throws {ValidationError} If flow_action is 'navigate' and screen is not provided
+     * @throws {ValidationError} If flow_action is 'data_exchange' and screen or data are provided
+     * @throws {ValidationError} If data is provided and it's not an object with at least one property
+     * @throws {ValidationError} If mode is not either 'draft' or 'published'
+     */
+    constructor(flow, flow_cta, flow_token, flow_action = "navigate", screen, data, mode) {
+        const { flow_id, flow_name } = flow || {};
+
+        this.name = "flow";
+        this.parameters = { flow_message_version: "3" };
+
+        if (flow_id !== undefined) this.parameters.flow_id = flow_id;
+        if (flow_name !== undefined) this.parameters.flow_name = flow_name;
+        this.parameters.flow_cta = flow_cta;
+        this.parameters.flow_action = flow_action;
+        if (flow_token) this.parameters.flow_token = flow_token;
+
+        if (screen !== undefined || data !== undefined) {
+            this.parameters.flow_action_payload = {};
+            if (screen !== undefined) this.parameters.flow_action_payload.screen = screen;
+            if (data !== undefined) this.parameters.flow_action_payload.data = data;
+        }
+
+        if (mode) this.parameters.mode = mode;
+
+        this._ = "flow";
+
+        check("flow_action", this, "ActionFlow");
     }
 }
 
@@ -282,28 +368,24 @@ class ActionCatalog {
      * 
      * @param {String} catalog_id The catalog id
      * @param {...(Product|ProductSection)} products The products to add to the catalog
-     * @throws {Error} If catalog_id is not provided
      * @throws {Error} If products is not provided
      * @throws {Error} If products is a single product and more than 1 product is provided
-     * @throws {Error} If products is a product list and more than 10 sections are provided
-     * @throws {Error} If products is a product list with more than 1 section and at least one section is missing a title
+     * @throws {ValidationError} If catalog_id is not provided
+     * @throws {ValidationError} If products is a product list and more than 10 sections are provided
+     * @throws {ValidationError} If products is a product list with more than 1 section and at least one section is missing a title
      */
     constructor(catalog_id, ...products) {
-        if (!catalog_id) throw new Error("Catalog must have a catalog id");
         if (!products.length) throw new Error("Catalog must have at least one product or product section");
         
         const single_product = products[0].product_retailer_id;
-        
         if (single_product && products.length > 1) throw new Error("Catalog must have only 1 product, use a ProductSection instead");
-        else {
-            if (products.length > 10) throw new Error("Catalog must have between 1 and 10 product sections");
-            if (products.length > 1 && !products.every(obj => obj.hasOwnProperty("title"))) throw new Error("All sections must have a title if more than 1 section is provided");
-        }
 
         this.catalog_id = catalog_id;
         if (single_product) this.product_retailer_id = single_product;
         else this.sections = products;
         this._ = single_product ? "product" : "product_list";
+
+        check(`${this._}_action`, this, "ActionCatalog");
     }
 }
 
@@ -319,15 +401,14 @@ class ProductSection {
      * 
      * @param {String} [title] The title of the product section
      * @param {...Product} products The products to add to the product section
-     * @throws {Error} If title is over 24 characters if provided
-     * @throws {Error} If no products are provided or are over 30
+     * @throws {ValidationError} If title is over 24 characters if provided
+     * @throws {ValidationError} If no products are provided or are over 30
      */
     constructor(title, ...products) {
-        if (title && title.length > 24) throw new Error("Section title must be 24 characters or less");
-        if (!products.length || products.length > 30) throw new Error("Section must have between 1 and 30 products");
-
         if (title) this.title = title;
         this.product_items = products;
+
+        check("product_section", this, "ProductSection");
     }
 }
 
@@ -359,6 +440,9 @@ module.exports = {
     ActionList,
     ListSection,
     Row,
+    ActionCTA,
+    ActionLocation,
+    ActionFlow,
     ActionCatalog,
     ProductSection,
     Product,
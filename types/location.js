@@ -1,29 +1,47 @@
+const { check } = require('../schema');
+const ClientMessage = require('./base');
+
+/**
+ * Parse a coordinate given as a string, such as the ones taken from a maps url
+ * 
+ * @package
+ * @ignore
+ * @param {(Number|String)} value The coordinate
+ * @returns {(Number|*)} The coordinate as a number, or the value as it was if it isn't a non empty string
+ */
+function coordinate(value) {
+    return typeof value === "string" && value.trim() ? Number(value) : value;
+}
+
 /**
  * Location API component
  * 
+ * @extends ClientMessage
  * @property {Number} latitude The latitude of the location
  * @property {Number} longitude The longitude of the location
  * @property {String} [name] The name of the location
  * @property {String} [address] The address of the location
  * @property {String} _ The type of the object, for internal use only
  */
- class Location {
+ class Location extends ClientMessage {
     /**
      * Create a Location object for the API
      * 
-     * @param {Number} longitude Longitude of the location
-     * @param {Number} latitude Latitude of the location
+     * @param {(Number|String)} longitude Longitude of the location
+     * @param {(Number|String)} latitude Latitude of the location
      * @param {String} [name] Name of the location
      * @param {String} [address] Address of the location, only displayed if name is present
+     * @throws {ValidationError} If longitude or latitude are not provided, are not numbers or are out of range
      */
     constructor(longitude, latitude, name, address) {
-        if (!longitude) throw new Error("Longitude must be specified");
-        if (!latitude) throw new Error("Latitude must be specified");
-        this.longitude = longitude;
-        this.latitude = latitude;
+        super();
+        this.longitude = coordinate(longitude);
+        this.latitude = coordinate(latitude);
         if (name) this.name = name;
         if (address) this.address = address;
         this._ = "location";
+
+        check("location", this, "Location");
     }
 }
 
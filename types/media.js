@@ -1,12 +1,16 @@
+const { check } = require('../schema');
+const ClientMessage = require('./base');
+
 /**
  * Placeholder class for all the media types
  * 
+ * @extends ClientMessage
  * @property {String} type The type of the media
  * @property {String} [id] The id of the media
  * @property {String} [link] The link of the media
  * @property {String} _ The type of the object, for internal use only
  */
-class Media {
+class Media extends ClientMessage {
     /**
      * This method works as a placeholder so the documentation looks nice.
      * You shouldn't be using it directly ¯\_(ツ)_/¯.
@@ -18,6 +22,7 @@ class Media {
      * @throws {Error} If file is not provided
      */
     constructor(type, file, isItAnID = false) {
+        super();
         if (!type) throw new Error("Media must have a type");
         if (!file) throw new Error("Media must have a file");
 
@@ -41,6 +46,7 @@ class Audio extends Media {
     constructor(audio, isItAnID = false) {
         if (!audio) throw new Error("Audio must have an audio link or id");
         super("audio", audio, isItAnID);
+        check("audio", this, "Audio");
     }
 }
 
@@ -57,14 +63,16 @@ class Document extends Media {
      * 
      * @param {String} document The document file's link or id
      * @param {Boolean} isItAnID Whether document is an id (true) or a link (false)
-     * @param {String} [caption] Describes the specified document media
+     * @param {String} [caption] Describes the specified document media. Maximum length: 1024 characters.
      * @param {String} [filename] Describes the filename for the specific document
+     * @throws {ValidationError} If caption is over 1024 characters
      */
     constructor(document, isItAnID = false, caption, filename) {
         if (!document) throw new Error("Document must have a document link or id");
         super("document", document, isItAnID);
         if (caption) this.caption = caption;
         if (filename) this.filename = filename;
+        check("document", this, "Document");
     }
 }
 
@@ -80,12 +88,14 @@ class Image extends Media {
      * 
      * @param {String} image The image file's link or id
      * @param {Boolean} isItAnID Whether image is an id (true) or a link (false)
-     * @param {String} [caption] Describes the specified image media
+     * @param {String} [caption] Describes the specified image media. Maximum length: 1024 characters.
+     * @throws {ValidationError} If caption is over 1024 characters
      */
     constructor(image, isItAnID = false, caption) {
         if (!image) throw new Error("Image must have an image link or id");
         super("image", image, isItAnID);
         if (caption) this.caption = caption;
+        check("image", this, "Image");
     }
 }
 
@@ -104,6 +114,7 @@ class Sticker extends Media {
     constructor(sticker, isItAnID = false) {
         if (!sticker) throw new Error("Sticker must have a sticker link or id");
         super("sticker", sticker, isItAnID);
+        check("sticker", this, "Sticker");
     }
 }
 
@@ -119,12 +130,14 @@ class Video extends Media {
      * 
      * @param {String} video The video file's link
      * @param {Boolean} isItAnID Whether video is an id (true) or a link (false)
-     * @param {String} [caption] Describes the specified video media
+     * @param {String} [caption] Describes the specified video media. Maximum length: 1024 characters.
+     * @throws {ValidationError} If caption is over 1024 characters
      */
     constructor(video, isItAnID = false, caption) {
         if (!video) throw new Error("Video must have a video link or id");
         super("video", video, isItAnID);
         if (caption) this.caption = caption;
+        check("video", this, "Video");
     }
 }
 
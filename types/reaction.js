@@ -0,0 +1,51 @@
+const { check } = require('../schema');
+const ClientMessage = require('./base');
+
+/**
+ * Reaction API object
+ *
+ * @extends ClientMessage
+ * @property {String} message_id The id of the message to react to
+ * @property {String} emoji The emoji of the reaction, an empty string removes the previous reaction
+ * @property {String} _ The type of the object, for internal use only
+ */
+class Reaction extends ClientMessage {
+    /**
+     * Create a Reaction object for the API
+     *
+     * @param {String} message_id The id of the message to react to
+     * @param {String} [emoji] The emoji to react with. If not specified, the previous reaction to the message is removed.
+     * @throws {Error} If message_id is not provided
+     * @throws {Error} If emoji is not a single emoji
+     */
+    constructor(message_id, emoji = "") {
+        super();
+        if (!message_id) throw new Error("Reaction must have a message id");
+        if (emoji && !isSingleEmoji(emoji)) throw new Error("Reaction emoji must be a single emoji");
+
+        this.message_id = message_id;
+        this.emoji = emoji;
+        this._ = "reaction";
+
+        check("reaction", this, "Reaction");
+    }
+}
+
+/**
+ * Check if a string is a single emoji grapheme
+ *
+ * @package
+ * @ignore
+ * @param {String} text The string to check
+ * @returns {Boolean} Whether the string is a single emoji
+ */
+function isSingleEmoji(text) {
+    // Emojis with skin tones, flags, keycaps and families are made of many code points, but are still a single grapheme
+    if (typeof Intl !== "undefined" && Intl.Segmenter) {
+        if ([...new Intl.Segmenter().segment(text)].length !== 1) return false;
+    } else if (!/^(\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}[\p{Emoji_Modifier}\uFE0F]*(\u200D\p{Extended_Pictographic}[\p{Emoji_Modifier}\uFE0F]*)*)$/u.test(text)) return false;
+
+    return /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(text);
+}
+
+module.exports = Reaction;
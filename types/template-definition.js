@@ -0,0 +1,236 @@
+/**
+ * Get the variables of a template text, such as {{1}} and {{2}}
+ *
+ * @package
+ * @ignore
+ * @param {String} text The template text
+ * @returns {Array<Number>} The variables indexes, sorted and without duplicates
+ */
+function placeholders(text) {
+    const matches = (text || "").match(/{{\s*\d+\s*}}/g) || [];
+    return [...new Set(matches.map(e => parseInt(e.replace(/[{}\s]/g, ""))))].sort((a, b) => a - b);
+}
+
+/**
+ * Template definition API object, used to create or edit a template
+ *
+ * @property {String} name The name of the template
+ * @property {String} language The language code of the template
+ * @property {String} category The category of the template
+ * @property {Array<(HeaderComponentDefinition|BodyComponentDefinition|FooterComponentDefinition|ButtonComponentDefinition)>} components The components of the template
+ * @property {Boolean} [allow_category_change] Whether Meta can change the category of the template if it doesn't match the content
+ */
+class TemplateDefinition {
+    /**
+     * Create a TemplateDefinition object for the API
+     *
+     * @param {String} name Name of the template. Only lowercase letters, numbers and underscores. Maximum length: 512 characters.
+     * @param {String} language The language code of the template, such as en_US
+     * @param {String} category The category of the template. Can be either 'AUTHENTICATION', 'MARKETING' or 'UTILITY'.
+     * @param {...(HeaderComponentDefinition|BodyComponentDefinition|FooterComponentDefinition|ButtonComponentDefinition)} components The components of the template
+     * @throws {Error} If name is not provided, is over 512 characters or has invalid characters
+     * @throws {Error} If language is not provided
+     * @throws {Error} If category is not either 'AUTHENTICATION', 'MARKETING' or 'UTILITY'
+     * @throws {Error} If the components don't include exactly one body component
+     * @throws {Error} If the components include more than one header, footer or buttons component
+     */
+    constructor(name, language, category, ...components) {
+        if (!name) throw new Error("TemplateDefinition must have a name");
+        if (name.length > 512) throw new Error("TemplateDefinition name must be 512 characters or less");
+        if (!/^[a-z0-9_]+$/.test(name)) throw new Error("TemplateDefinition name can only have lowercase letters, numbers and underscores");
+        if (!language) throw new Error("TemplateDefinition must have a language");
+        if (!["AUTHENTICATION", "MARKETING", "UTILITY"].includes(category)) throw new Error("TemplateDefinition category must be either 'AUTHENTICATION', 'MARKETING' or 'UTILITY'");
+
+        for (const type of ["HEADER", "FOOTER", "BUTTONS"]) {
+            if (components.filter(c => c.type === type).length > 1) throw new Error(`TemplateDefinition can only have one ${type.toLowerCase()} component`);
+        }
+        if (components.filter(c => c.type === "BODY").length !== 1) throw new Error("TemplateDefinition must have one body component");
+
+        this.name = name;
+        this.language = language;
+        this.category = category;
+        this.components = components;
+    }
+
+    /**
+     * Let Meta change the category of the template if it doesn't match its content, instead of rejecting it
+     *
+     * @param {Boolean} [allow=true] Whether to allow the category change
+     * @returns {TemplateDefinition} The definition, for chaining
+     */
+    allowCategoryChange(allow = true) {
+        this.allow_category_change = !!allow;
+        return this;
+    }
+}
+
+/**
+ * Header component definition API object
+ *
+ * @property {String} type The type of the component, always 'HEADER'
+ * @property {String} format The format of the header
+ * @property {String} [text] The text of the header
+ * @property {{ header_text: Array<String> } | { header_handle: Array<String> }} [example] The example of the header variable or media
+ */
+class HeaderComponentDefinition {
+    /**
+     * Builds a header component for a TemplateDefinition
+     *
+     * @param {String} format The format of the header. Can be either 'TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT' or 'LOCATION'.
+     * @param {String} [content] For 'TEXT' headers, the text, which can include one variable ({{1}}). Maximum length: 60 characters.
+     * For media headers, the handle of a sample file, uploaded with the resumable upload API.
+     * @param {String} [example] For 'TEXT' headers with a variable, an example value for it
+     * @throws {Error} If format is not either 'TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT' or 'LOCATION'
+     * @throws {Error} If format is 'TEXT' and the text is not provided, is over 60 characters or has more than one variable
+     * @throws {Error} If format is 'TEXT', the text has a variable and example is not provided
+     */
+    constructor(format, content, example) {
+        if (!["TEXT", "IMAGE", "VIDEO", "DOCUMENT", "LOCATION"].includes(format)) throw new Error("HeaderComponentDefinition format must be either 'TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT' or 'LOCATION'");
+
+        this.type = "HEADER";
+        this.format = format;
+
+        if (format === "TEXT") {
+            if (!content) throw new Error("HeaderComponentDefinition of format 'TEXT' must have a text");
+            if (content.length > 60) throw new Error("HeaderComponentDefinition text must be 60 characters or less");
+
+            const variables = placeholders(content);
+            if (variables.length > 1) throw new Error("HeaderComponentDefinition text can only have one variable");
+            if (variables.length && !example) throw new Error("HeaderComponentDefinition text with a variable must have an example");
+
+            this.text = content;
+            if (variables.length) this.example = { header_text: [example] };
+        } else if (content) this.example = { header_handle: [content] };
+    }
+}
+
+/**
+ * Body component definition API object
+ *
+ * @property {String} type The type of the component, always 'BODY'
+ * @property {String} text The text of the body
+ * @property {{ body_text: Array<Array<String>> }} [example] The examples of the body variables
+ */
+class BodyComponentDefinition {
+    /**
+     * Builds a body component for a TemplateDefinition
+     *
+     * @param {String} text The text of the body, which can include variables ({{1}}, {{2}}...). Maximum length: 1024 characters.
+     * @param {...String} [examples] An example value for each variable, in order
+     * @throws {Error} If text is not provided or is over 1024 characters
+     * @throws {Error} If the number of examples doesn't match the number of variables
+     */
+    constructor(text, ...examples) {
+        if (!text) throw new Error("BodyComponentDefinition must have a text");
+        if (text.length > 1024) throw new Error("BodyComponentDefinition text must be 1024 characters or less");
+
+        const variables = placeholders(text);
+        if (variables.length !== examples.length) throw new Error(`BodyComponentDefinition has ${variables.length} variables but ${examples.length} examples`);
+
+        this.type = "BODY";
+        this.text = text;
+        if (examples.length) this.example = { body_text: [examples] };
+    }
+}
+
+/**
+ * Footer component definition API object
+ *
+ * @property {String} type The type of the component, always 'FOOTER'
+ * @property {String} text The text of the footer
+ */
+class FooterComponentDefinition {
+    /**
+     * Builds a footer component for a TemplateDefinition
+     *
+     * @param {String} text The text of the footer. Variables aren't supported. Maximum length: 60 characters.
+     * @throws {Error} If text is not provided or is over 60 characters
+     */
+    constructor(text) {
+        if (!text) throw new Error("FooterComponentDefinition must have a text");
+        if (text.length > 60) throw new Error("FooterComponentDefinition text must be 60 characters or less");
+
+        this.type = "FOOTER";
+        this.text = text;
+    }
+}
+
+/**
+ * Buttons component definition API object
+ *
+ * @property {String} type The type of the component, always 'BUTTONS'
+ * @property {Array<ButtonDefinition>} buttons The buttons of the template
+ */
+class ButtonComponentDefinition {
+    /**
+     * Builds a buttons component for a TemplateDefinition.
+     * The index of the buttons, used later by ButtonComponent when sending the template, is defined by the order in which you add them.
+     *
+     * @param {...ButtonDefinition} buttons The buttons of the template. Must be between 1 and 10 buttons.
+     * @throws {Error} If no buttons are provided or are over 10
+     */
+    constructor(...buttons) {
+        if (!buttons.length || buttons.length > 10) throw new Error("ButtonComponentDefinition must have between 1 and 10 buttons");
+
+        this.type = "BUTTONS";
+        this.buttons = buttons;
+    }
+}
+
+/**
+ * Button definition API object
+ *
+ * @property {String} type The type of the button
+ * @property {String} text The text of the button
+ * @property {String} [url] The url of the button
+ * @property {String} [phone_number] The phone number of the button
+ * @property {Array<String>} [example] The example of the url variable
+ */
+class ButtonDefinition {
+    /**
+     * Builds a button for a ButtonComponentDefinition
+     *
+     * @param {String} type The type of the button. Can be either 'QUICK_REPLY', 'URL' or 'PHONE_NUMBER'.
+     * @param {String} text The text of the button. Maximum length: 25 characters.
+     * @param {String} [value] For 'URL' buttons, the url, which can end with one variable ({{1}}). For 'PHONE_NUMBER' buttons, the phone number.
+     * @param {String} [example] For 'URL' buttons with a variable, an example value for it
+     * @throws {Error} If type is not either 'QUICK_REPLY', 'URL' or 'PHONE_NUMBER'
+     * @throws {Error} If text is not provided or is over 25 characters
+     * @throws {Error} If type is 'URL' or 'PHONE_NUMBER' and value is not provided
+     * @throws {Error} If type is 'URL', the url has a variable and example is not provided
+     */
+    constructor(type, text, value, example) {
+        if (!["QUICK_REPLY", "URL", "PHONE_NUMBER"].includes(type)) throw new Error("ButtonDefinition type must be either 'QUICK_REPLY', 'URL' or 'PHONE_NUMBER'");
+        if (!text) throw new Error("ButtonDefinition must have a text");
+        if (text.length > 25) throw new Error("ButtonDefinition text must be 25 characters or less");
+
+        this.type = type;
+        this.text = text;
+
+        if (type === "URL") {
+            if (!value) throw new Error("ButtonDefinition of type 'URL' must have an url");
+            if (value.length > 2000) throw new Error("ButtonDefinition url must be 2000 characters or less");
+            if (placeholders(value).length && !example) throw new Error("ButtonDefinition url with a variable must have an example");
+
+            this.url = value;
+            if (placeholders(value).length) this.example = [example];
+        }
+
+        if (type === "PHONE_NUMBER") {
+            if (!value) throw new Error("ButtonDefinition of type 'PHONE_NUMBER' must have a phone number");
+            if (value.length > 20) throw new Error("ButtonDefinition phone number must be 20 characters or less");
+
+            this.phone_number = value;
+        }
+    }
+}
+
+module.exports = {
+    placeholders,
+    TemplateDefinition,
+    HeaderComponentDefinition,
+    BodyComponentDefinition,
+    FooterComponentDefinition,
+    ButtonComponentDefinition,
+    ButtonDefinition,
+};
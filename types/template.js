@@ -1,33 +1,41 @@
 const Text = require("./text");
 const { Image, Document, Video } = require("./media");
+const { check } = require("../schema");
+const ClientMessage = require("./base");
 
 /**
  * Template API object
  * 
+ * @extends ClientMessage
  * @property {String} name The name of the template
  * @property {Language} language The language of the template
- * @property {Array<(HeaderComponent|BodyComponent|ButtonComponent)>} [components] The components of the template
+ * @property {Array<(HeaderComponent|BodyComponent|ButtonComponent|CarouselComponent|LTOComponent)>} [components] The components of the template
  * @property {String} _ The type of the object, for internal use only
  */
-class Template {
+class Template extends ClientMessage {
     /**
      * Create a Template object for the API
      * 
      * @param {String} name Name of the template
      * @param {(String|Language)} language The code of the language or locale to use. Accepts both language and language_locale formats (e.g., en and en_US).
-     * @param  {...(HeaderComponent|BodyComponent|ButtonComponent)} [components] Components objects containing the parameters of the message. For text-based templates, the only supported component is BodyComponent.
+     * @param  {...(HeaderComponent|BodyComponent|ButtonComponent|CarouselComponent|LTOComponent)} [components] Components objects containing the parameters of the message. For text-based templates, the only supported component is BodyComponent.
+     * The buttons of each ButtonComponent are indexed from 0, use ButtonComponent.sequence to index them across many ButtonComponents.
      * @throws {Error} If name is not provided
      * @throws {Error} If language is not provided
+     * @throws {ValidationError} If the message doesn't match the API schema
      */
     constructor(name, language, ...components) {
+        super();
         if (!name) throw new Error("Template must have a name");
         if (!language) throw new Error("Template must have a language");
 
         this.name = name;
         this.language = language instanceof Language ? language : new Language(language);
-        if (components) this.components = components.map(c => typeof c.build === "function" ? c.build() : c).flat();
+        if (components) this.components = buildComponents(components);
 
         this._ = "template";
+
+        check("template", this, "Template");
     }
 }
 
@@ -42,12 +50,14 @@ class Language {
      * Create a Language component for a Template message
      * 
      * @param {String} code The code of the language or locale to use. Accepts both language and language_locale formats (e.g., en and en_US).
-     * @param {String} [policy] The language policy the message should follow. The only supported option is 'deterministic'. The variable isn't even read by my code :)
+     * @param {String} [policy] The language policy the message should follow. The only supported option is 'deterministic', the default.
      * @throws {Error} If code is not provided
+     * @throws {Error} If policy is not 'deterministic'
      */
-    constructor(code, policy) {
+    constructor(code, policy = "deterministic") {
         if (!code) throw new Error("Language must have a code");
-        this.policy = "deterministic";
+        if (policy !== "deterministic") throw new Error("Language policy must be 'deterministic'");
+        this.policy = policy;
         this.code = code;
     }
 }
@@ -116,18 +126,25 @@ class ButtonComponent {
      * Builds a button component for a Template message.
      * The index of the buttons is defined by the order in which you add them to the Template parameters.
      * 
-     * @param {String} sub_type Type of button to create. Can be either 'url' or 'quick_reply'.
-     * @param {...String} parameters Parameter for each button. The index of each parameter is defined by the order they are sent to the constructor.
-     * @throws {Error} If sub_type is not either 'url' or 'quick_reply'
+     * @param {String} sub_type Type of button to create. Can be either 'url', 'quick_reply', 'copy_code', 'catalog' or 'mpm'.
+     * @param {...(String|CatalogAction)} parameters Parameter for each button. The index of each parameter is defined by the order they are sent to the constructor.
+     * For 'copy_code' it's the coupon code, for 'catalog' the id of the thumbnail product or a CatalogAction, and for 'mpm' a CatalogAction with the product sections.
+     * @throws {Error} If sub_type is not either 'url', 'quick_reply', 'copy_code', 'catalog' or 'mpm'
      * @throws {Error} If parameters is not provided
      * @throws {Error} If parameters has over 3 elements
+     * @throws {Error} If sub_type is 'copy_code', 'catalog' or 'mpm' and parameters has more than 1 element
+     * @throws {Error} If sub_type is 'mpm' and the parameter is not a CatalogAction with sections
      */
     constructor(sub_type, ...parameters) {
-        if (!["url", "quick_reply"].includes(sub_type)) throw new Error("ButtonComponent sub_type must be either 'url' or 'quick_reply'");
+        if (!Object.keys(BUTTON_PARAMETERS).includes(sub_type)) throw new Error("ButtonComponent sub_type must be either 'url', 'quick_reply', 'copy_code', 'catalog' or 'mpm'");
         if (!parameters.length) throw new Error("ButtonComponent must have at least 1 parameter");
         if (parameters.length > 3) throw new Error("ButtonComponent can only have up to 3 parameters");
+        if (["copy_code", "catalog", "mpm"].includes(sub_type) && parameters.length > 1) throw new Error(`ButtonComponent can only have 1 parameter if sub_type is '${sub_type}'`);
+        if (sub_type === "mpm" && !(parameters[0] instanceof CatalogAction && parameters[0].sections)) throw new Error("ButtonComponent parameter must be a CatalogAction with sections if sub_type is 'mpm'");
+
+        if (sub_type === "catalog" && typeof parameters[0] === "string") parameters = [new CatalogAction(parameters[0])];
 
-        const buttonType = sub_type === "url" ? "text" : "payload";
+        const buttonType = BUTTON_PARAMETERS[sub_type];
         parameters = parameters.map(e => new ButtonParameter(e, buttonType));
 
         this.type = "button";
@@ -138,13 +155,31 @@ class ButtonComponent {
     /**
      * Generates the buttons components for a Template message. For internal use only.
      * 
+     * @param {Number} [index] The index of the first button, if there are other buttons before it
      * @returns {Array<{ type: String, sub_type: String, index: String, parameters: Array<ButtonParameter> }>} An array of API compatible buttons components
      */
-    build() {
+    build(index = 0) {
         return this.parameters.map((p, i) => {
-            return { type: this.type, sub_type: this.sub_type, index: i.toString(), parameters: [p] };
+            return { type: this.type, sub_type: this.sub_type, index: (index + i).toString(), parameters: [p] };
         });
     }
+
+    /**
+     * Index the buttons of many ButtonComponents one after the other, for the templates which mix kinds of buttons, such as a copy code and an url.
+     * The result must be spread into the Template or CarouselCard components.
+     * 
+     * @param {...ButtonComponent} components The ButtonComponents, in the order of the buttons of the template definition
+     * @returns {Array<{ type: String, sub_type: String, index: String, parameters: Array<ButtonParameter> }>} An array of API compatible buttons components
+     */
+    static sequence(...components) {
+        let index = 0;
+
+        return components.reduce((buttons, component) => {
+            const built = component.build(index);
+            index += built.length;
+            return buttons.concat(built);
+        }, []);
+    }
 }
 
 /**
@@ -153,22 +188,51 @@ class ButtonComponent {
  * @property {String} type The type of the button
  * @property {String} [text] The text of the button
  * @property {String} [payload] The payload of the button
+ * @property {String} [coupon_code] The coupon code of the button
+ * @property {CatalogAction} [action] The products of the button
  */
 class ButtonParameter {
     /**
      * Builds a button parameter for a ButtonComponent
      * 
-     * @param {String} param Developer-provided data that is used to fill in the template.
-     * @param {String} type The type of the button. Can be either 'text' or 'payload'.
-     * @throws {Error} If param is not provided
-     * @throws {Error} If type is not either 'text' or 'payload'
+     * @param {(String|CatalogAction)} param Developer-provided data that is used to fill in the template.
+     * @param {String} type The type of the button. Can be either 'text', 'payload', 'coupon_code' or 'action'.
+     * @throws {ValidationError} If param is not provided
+     * @throws {ValidationError} If type is not either 'text', 'payload', 'coupon_code' or 'action'
+     * @throws {ValidationError} If type is 'coupon_code' and param is over 15 characters
+     * @throws {ValidationError} If type is 'action' and param is not a CatalogAction
      */
     constructor(param, type) {
-        if (!param) throw new Error("UrlButton must have a param");
-        if (!["text", "payload"].includes(type)) throw new Error("UrlButton type must be either 'text' or 'payload'");
-
         this.type = type;
         this[type] = param;
+
+        check("button_parameter", this, "ButtonParameter");
+    }
+}
+
+/**
+ * Catalog action API object
+ * 
+ * @property {String} thumbnail_product_retailer_id The id of the product shown as the thumbnail of the message
+ * @property {Array<ProductSection>} [sections] The product sections of a multi-product message
+ */
+class CatalogAction {
+    /**
+     * Builds the products of a catalog or multi-product (mpm) button
+     * 
+     * @param {String} thumbnail_product_retailer_id The id of the product shown as the thumbnail of the message
+     * @param {...ProductSection} [sections] The product sections, only for multi-product (mpm) buttons
+     * @throws {Error} If thumbnail_product_retailer_id is not provided
+     * @throws {Error} If more than 10 sections are provided
+     * @throws {Error} If more than 1 section is provided and at least one doesn't have a title
+     */
+    constructor(thumbnail_product_retailer_id, ...sections) {
+        if (!thumbnail_product_retailer_id) throw new Error("CatalogAction must have a thumbnail_product_retailer_id");
+        if (sections.length > 10) throw new Error("CatalogAction can only have up to 10 sections");
+        if (sections.length > 1 && !sections.every(obj => obj.hasOwnProperty("title"))) throw new Error("All sections must have a title if more than 1 section is provided");
+
+        this.thumbnail_product_retailer_id = thumbnail_product_retailer_id;
+        if (sections.length) this.sections = sections;
     }
 }
 
@@ -183,10 +247,13 @@ class HeaderComponent {
      * Builds a header component for a Template message
      * 
      * @param {...(Text|Currency|DateTime|Image|Document|Video|Parameter)} [parameters] Parameters of the body component
+     * @throws {ValidationError} If a Text parameter is over 60 characters
      */
     constructor(...parameters) {
         this.type = "header";
         if (parameters) this.parameters = parameters.map(e => e instanceof Parameter ? e : new Parameter(e, "header"));
+
+        check("template_component", this, "HeaderComponent");
     }
 }
 
@@ -201,13 +268,117 @@ class BodyComponent {
      * Builds a body component for a Template message
      * 
      * @param  {...(Text|Currency|DateTime|Image|Document|Video|Parameter)} [parameters] Parameters of the body component
+     * @throws {ValidationError} If a Text parameter is over 1024 characters
      */
     constructor(...parameters) {
         this.type = "body";
         if (parameters) this.parameters = parameters.map(e => e instanceof Parameter ? e : new Parameter(e, "body"));
+
+        check("template_component", this, "BodyComponent");
     }
 }
 
+/**
+ * Components API object
+ * 
+ * @property {String} type The type of the component
+ * @property {Array<CarouselCard>} cards The cards of the carousel
+ * @property {Function} build The function to build the component as a compatible API object
+ */
+class CarouselComponent {
+    /**
+     * Builds a carousel component for a Template message.
+     * The index of the cards is defined by the order in which you add them.
+     * 
+     * @param {...CarouselCard} cards The cards of the carousel, with the same components as their definition
+     * @throws {Error} If no cards are provided or are over 10
+     */
+    constructor(...cards) {
+        if (!cards.length || cards.length > 10) throw new Error("CarouselComponent must have between 1 and 10 cards");
+
+        this.type = "carousel";
+        this.cards = cards;
+    }
+
+    /**
+     * Generates the carousel component for a Template message. For internal use only.
+     * 
+     * @returns {{ type: String, cards: Array<{ card_index: Number, components: Array }> }} An API compatible carousel component
+     */
+    build() {
+        return { type: this.type, cards: this.cards.map((card, i) => ({ card_index: i, components: card.components })) };
+    }
+}
+
+/**
+ * Carousel card API object
+ * 
+ * @property {Array<(HeaderComponent|BodyComponent|Object)>} components The components of the card, with the buttons already built
+ */
+class CarouselCard {
+    /**
+     * Builds a card for a CarouselComponent.
+     * The buttons of each ButtonComponent are indexed from 0, use ButtonComponent.sequence to index them across many ButtonComponents.
+     * 
+     * @param {(Image|Video)} header The media of the card header
+     * @param {...(BodyComponent|ButtonComponent)} [components] The body parameters and buttons of the card
+     * @throws {Error} If header is not an Image or a Video
+     */
+    constructor(header, ...components) {
+        if (!header || !["image", "video"].includes(header._)) throw new Error("CarouselCard header must be an Image or a Video");
+
+        this.components = buildComponents([new HeaderComponent(header), ...components]);
+    }
+}
+
+/**
+ * Components API object
+ * 
+ * @property {String} type The type of the component
+ * @property {Array<{ type: String, limited_time_offer: { expiration_time_ms: Number } }>} parameters The parameters of the component
+ */
+class LTOComponent {
+    /**
+     * Builds a limited-time offer component for a Template message
+     * 
+     * @param {Number} expiration_time_ms The offer expiration time, as a UNIX timestamp in milliseconds
+     * @throws {Error} If expiration_time_ms is not a positive integer
+     */
+    constructor(expiration_time_ms) {
+        if (!Number.isInteger(expiration_time_ms) || expiration_time_ms <= 0) throw new Error("LTOComponent expiration_time_ms must be a positive integer");
+
+        this.type = "limited_time_offer";
+        this.parameters = [{ type: "limited_time_offer", limited_time_offer: { expiration_time_ms } }];
+    }
+}
+
+/**
+ * The type of the parameter of each button sub type
+ * 
+ * @package
+ * @ignore
+ * @type {Object<String, String>}
+ */
+const BUTTON_PARAMETERS = {
+    url: "text",
+    quick_reply: "payload",
+    copy_code: "coupon_code",
+    catalog: "action",
+    mpm: "action",
+};
+
+/**
+ * Build the components of a Template or a CarouselCard as API objects
+ * 
+ * @package
+ * @ignore
+ * @param {Array<Object>} components The components
+ * @returns {Array<Object>} The API compatible components
+ */
+function buildComponents(components) {
+    return components.map(c => typeof c.build === "function" ? c.build() : c).flat();
+}
+
 /**
  * Parameter API object
  * 
@@ -222,14 +393,12 @@ class BodyComponent {
 class Parameter {
     /**
      * Builds a parameter object for a HeaderComponent or BodyComponent.
-     * For Text parameter, the header component character limit is 60, and the body component character limit is 1024.
+     * For Text parameter, the header component character limit is 60, and the body component character limit is 1024. They are checked by the component.
      * For Document parameter, only PDF documents are supported for document-based message templates.
      * 
      * @param {(Text|Currency|DateTime|Image|Document|Video)} parameter The parameter to be used in the template
-     * @param {String} [whoami] The parent component, used to check if a Text object is too long. Can be either 'header' or 'body'
+     * @param {String} [whoami] The parent component. Can be either 'header' or 'body'
      * @throws {Error} If parameter is not provided
-     * @throws {Error} If parameter is a Text and the parent component (whoami) is "header" and the text over 60 characters
-     * @throws {Error} If parameter is a Text and the parent component (whoami) is "body" and the text over 1024 characters
      */
     constructor(parameter, whoami) {
         if (!parameter) throw new Error("Parameter object must have a parameter parameter :)");
@@ -237,11 +406,8 @@ class Parameter {
         delete parameter._;
 
         // Text type can go to hell
-        if (this.type === "text") {
-            if (whoami === "header" && parameter.body > 60) throw new Error("Header text must be 60 characters or less");
-            if (whoami === "body" && parameter.body > 1024) throw new Error("Body text must be 1024 characters or less");
-            this[this.type] = parameter.body;
-        } else this[this.type] = parameter;
+        if (this.type === "text") this[this.type] = parameter.body;
+        else this[this.type] = parameter;
     }
 }
 
@@ -252,6 +418,10 @@ module.exports = {
     ButtonParameter,
     HeaderComponent,
     BodyComponent,
+    CarouselComponent,
+    CarouselCard,
+    LTOComponent,
+    CatalogAction,
     Parameter,
     Currency,
     DateTime